@@ -0,0 +1,631 @@
+// Analyzers shared by the content script and the Node CLI. They read the page through the DOM
+// globals (document, getComputedStyle, ...); under Node, a jsdom window provides those.
+import { DEFAULT_CLUSTER_THRESHOLD, channelsToHex, clusterColors, parseColor, toHexWithAlpha } from './color-utils';
+import { getComponentName, querySelectorAllDeep, walkElements } from './dom-utils';
+import { BUILT_IN_SIGNATURES, matchSignatures } from './signatures';
+
+// Per-element style walks past this many elements are sampled (overridable on the options page)
+const DEFAULT_NODE_BUDGET = 5000;
+// Never rendered, so never worth a getComputedStyle call
+const UNRENDERED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'LINK', 'META']);
+// Elements that carry role colors, always kept when a walk is sampled
+const PRIORITY_SELECTOR = 'a, button, [role="button"], input, select, textarea, .btn, .button, h1, h2, h3';
+const MIN_CHUNK_SIZE = 50;
+const IDLE_TIMEOUT_MS = 100;
+const FALLBACK_SLICE_MS = 12;
+
+// jsdom parses and cascades CSS but lays nothing out, so nothing there has a box
+function hasLayoutEngine() {
+  return document.documentElement.getClientRects().length > 0;
+}
+
+export async function getTypography() {
+  // Create a more comprehensive typography report
+  const headings = {};
+  const paragraphs = [];
+  const fontFamiliesUsed = new Set();
+  const samples = { body: document.body }; // representative elements for the responsive pass
+
+  // First family of a stack, unquoted; an empty stack (nothing computed) isn't a family
+  const addFamily = fontFamily => {
+    const family = (fontFamily || '').split(',')[0].trim().replace(/["']/g, '');
+    if (family) fontFamiliesUsed.add(family);
+  };
+
+  // Process all headings
+  for (let i = 1; i <= 6; i++) {
+    const elements = querySelectorAllDeep(`h${i}`);
+    if (elements.length > 0) {
+      // Use the first one as representative
+      samples[`h${i}`] = elements[0];
+      const style = getComputedStyle(elements[0]);
+      headings[`h${i}`] = {
+        fontFamily: style.fontFamily,
+        fontSize: style.fontSize,
+        lineHeight: style.lineHeight,
+        fontWeight: style.fontWeight,
+        letterSpacing: style.letterSpacing,
+        count: elements.length, // How many of this heading type exist
+        component: getComponentName(elements[0]) // Set when it lives in a web component
+      };
+      addFamily(style.fontFamily);
+    }
+  }
+
+  // Get paragraph styles (sampling)
+  const pElements = querySelectorAllDeep('p');
+  if (pElements.length > 0) {
+    // Sample up to 5 different paragraphs
+    const sampled = Array.from(pElements).slice(0, Math.min(5, pElements.length));
+    sampled.forEach(el => {
+      const style = getComputedStyle(el);
+      paragraphs.push({
+        fontFamily: style.fontFamily,
+        fontSize: style.fontSize,
+        lineHeight: style.lineHeight,
+        fontWeight: style.fontWeight,
+        letterSpacing: style.letterSpacing
+      });
+      addFamily(style.fontFamily);
+    });
+  }
+
+  // Get body text style
+  const bodyStyle = getComputedStyle(document.body);
+  const bodyInfo = {
+    fontFamily: bodyStyle.fontFamily,
+    fontSize: bodyStyle.fontSize,
+    lineHeight: bodyStyle.lineHeight,
+    fontWeight: bodyStyle.fontWeight,
+    letterSpacing: bodyStyle.letterSpacing
+  };
+  addFamily(bodyStyle.fontFamily);
+
+  // Calculate type scale ratio if we have h1 and body
+  let typeScale = null;
+  if (headings.h1) {
+    const h1FontSize = parseFloat(headings.h1.fontSize);
+    const bodyFontSize = parseFloat(bodyStyle.fontSize);
+    if (!isNaN(h1FontSize) && !isNaN(bodyFontSize) && bodyFontSize > 0) {
+      // Calculate ratio with 2 decimal precision
+      typeScale = Math.round((h1FontSize / bodyFontSize) * 100) / 100;
+
+      // Map common type scales to their standard names
+      const commonScales = {
+        1.067: 'Minor Second (1.067)',
+        1.125: 'Major Second (1.125)',
+        1.2: 'Minor Third (1.2)',
+        1.25: 'Major Third (1.25)',
+        1.333: 'Perfect Fourth (1.333)',
+        1.414: 'Augmented Fourth (1.414)',
+        1.5: 'Perfect Fifth (1.5)',
+        1.618: 'Golden Ratio (1.618)'
+      };
+
+      // Find the closest common scale
+      const scaleValues = Object.keys(commonScales).map(Number);
+      const closestScale = scaleValues.reduce((prev, curr) =>
+        Math.abs(curr - typeScale) < Math.abs(prev - typeScale) ? curr : prev
+      );
+
+      // If we're within 0.05 of a common scale, use that name
+      if (Math.abs(closestScale - typeScale) <= 0.05) {
+        typeScale = commonScales[closestScale];
+      } else {
+        typeScale = typeScale.toString();
+      }
+    }
+  }
+
+  let responsive;
+  try {
+    responsive = await getResponsiveTypography(samples);
+  } catch (e) {
+    console.error('Error in responsive typography analysis:', e);
+    responsive = { error: e.message };
+  }
+
+  return {
+    body: bodyInfo,
+    headings,
+    paragraphs,
+    fontFamilies: Array.from(fontFamiliesUsed),
+    typeScale,
+    responsive
+  };
+}
+
+async function getResponsiveTypography(samples) {
+  // Font sizes at each breakpoint the stylesheets declare, plus fluid (clamp()/vw) sizing.
+  // Media queries follow the viewport, so the sizes come from a hidden iframe resized to each width.
+  const MAX_BREAKPOINTS = 5;
+  const FLUID_SIZE = /clamp\(|min\(|max\(|\d(vw|vh|vmin|vmax|vi|cqw|cqi)\b/;
+  const WIDTH_QUERY = /\(\s*(min|max)-width\s*:\s*([\d.]+)(px|r?em)\s*\)|\(\s*width\s*([<>]=?)\s*([\d.]+)(px|r?em)\s*\)/g;
+
+  const boundaries = new Map(); // px -> number of queries using it
+  const styleRules = [];
+  const sheets = [...document.styleSheets, ...(document.adoptedStyleSheets || [])];
+
+  // A boundary is the first width where the query's styles change
+  const addBoundary = (operator, value, unit) => {
+    const px = parseFloat(value) * (unit === 'px' ? 1 : 16);
+    const boundary = operator === 'min' || operator === '>=' || operator === '<'
+      ? Math.round(px)
+      : Math.floor(px) + 1;
+    boundaries.set(boundary, (boundaries.get(boundary) || 0) + 1);
+  };
+
+  const collectRules = rules => {
+    Array.from(rules).forEach(rule => {
+      if (rule instanceof CSSMediaRule) {
+        let match;
+        WIDTH_QUERY.lastIndex = 0;
+        while ((match = WIDTH_QUERY.exec(rule.media.mediaText))) {
+          if (match[1]) {
+            addBoundary(match[1], match[2], match[3]);
+          } else {
+            addBoundary(match[4], match[5], match[6]);
+          }
+        }
+      }
+      if (rule instanceof CSSStyleRule) styleRules.push(rule);
+      if (rule.cssRules) collectRules(rule.cssRules);
+    });
+  };
+  sheets.forEach(sheet => {
+    try {
+      collectRules(sheet.cssRules);
+    } catch (e) {
+      // Cross-origin stylesheet; its media queries can't be read
+    }
+  });
+
+  // Fluid sizing comes from the authored rules; the last matching rule approximates the cascade
+  const fluid = {};
+  Object.entries(samples).forEach(([key, el]) => {
+    if (!el) return;
+    styleRules.forEach(rule => {
+      let value = rule.style.getPropertyValue('font-size') || '';
+      if (!value) return;
+      try {
+        if (!el.matches(rule.selectorText)) return;
+      } catch (e) {
+        return; // Selectors with pseudo-elements can't be matched
+      }
+      // One level of var() is enough for the common --font-size-h1 pattern
+      value = value.replace(/var\(\s*(--[\w-]+)[^)]*\)/g, (match, name) =>
+        getComputedStyle(el).getPropertyValue(name).trim() || match);
+      if (FLUID_SIZE.test(value)) fluid[key] = value.trim();
+    });
+  });
+
+  // The most used boundaries, smallest first, after a phone-sized base width
+  const widths = [...boundaries.entries()]
+    .filter(([px]) => px > 320 && px <= 2560)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_BREAKPOINTS)
+    .map(([px]) => px)
+    .sort((a, b) => a - b);
+  if (widths.length === 0) {
+    return { breakpoints: [], sizes: {}, fluid };
+  }
+  widths.unshift(widths[0] > 375 ? 375 : 320);
+
+  // Media queries can only be evaluated at other widths where there is a layout engine
+  if (!hasLayoutEngine()) {
+    return { breakpoints: [], sizes: {}, fluid };
+  }
+
+  const frame = document.createElement('iframe');
+  frame.setAttribute('aria-hidden', 'true');
+  frame.tabIndex = -1;
+  frame.style.cssText = `position: fixed; top: 0; left: -10000px; width: ${widths[0]}px; ` +
+    `height: ${window.innerHeight}px; border: 0; visibility: hidden; pointer-events: none;`;
+  document.documentElement.appendChild(frame);
+
+  try {
+    // about:blank is same-origin and ready synchronously
+    const frameWindow = frame.contentWindow;
+    const doc = frame.contentDocument;
+    const copyAttributes = (from, to) => {
+      Array.from(from.attributes).forEach(attr => to.setAttribute(attr.name, attr.value));
+    };
+    copyAttributes(document.documentElement, doc.documentElement);
+    copyAttributes(document.body, doc.body);
+    doc.documentElement.style.overflow = 'hidden';
+
+    // Readable stylesheets are copied rule by rule (this includes CSS-in-JS rules added with
+    // insertRule); cross-origin ones are linked again and served from the cache
+    const adopted = [];
+    const links = [];
+    sheets.forEach(sheet => {
+      let css;
+      try {
+        css = Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n');
+      } catch (e) {
+        if (sheet.href) {
+          const link = doc.createElement('link');
+          link.rel = 'stylesheet';
+          link.href = sheet.href;
+          if (sheet.media && sheet.media.mediaText) link.media = sheet.media.mediaText;
+          links.push(link);
+        }
+        return;
+      }
+      const media = sheet.media && sheet.media.mediaText;
+      const copy = new frameWindow.CSSStyleSheet();
+      copy.replaceSync(media ? `@media ${media} { ${css} }` : css);
+      adopted.push(copy);
+    });
+    doc.adoptedStyleSheets = adopted;
+    await Promise.race([
+      Promise.all(links.map(link => new Promise(resolve => {
+        link.onload = resolve;
+        link.onerror = resolve;
+        doc.head.appendChild(link);
+      }))),
+      new Promise(resolve => setTimeout(resolve, 3000))
+    ]);
+
+    // Each sample is rebuilt with its ancestor chain so descendant selectors still match
+    const clones = new Map([[document.body, doc.body], [document.documentElement, doc.documentElement]]);
+    const cloneInto = el => {
+      if (clones.has(el)) return clones.get(el);
+      const parent = cloneInto(el.parentElement);
+      const clone = doc.importNode(el, false);
+      parent.appendChild(clone);
+      clones.set(el, clone);
+      return clone;
+    };
+    const sampleClones = {};
+    Object.entries(samples).forEach(([key, el]) => {
+      // Shadow DOM styles live in the component, not the document's stylesheets
+      if (!el || el.getRootNode() !== document) return;
+      if (el === document.body) {
+        sampleClones[key] = doc.body;
+        return;
+      }
+      const clone = doc.importNode(el, true);
+      clone.querySelectorAll('script, iframe, img, video').forEach(node => node.remove());
+      cloneInto(el.parentElement).appendChild(clone);
+      sampleClones[key] = clone;
+    });
+
+    const sizes = {};
+    widths.forEach(width => {
+      frame.style.width = `${width}px`;
+      // Laying out the page resizes the frame's viewport before its styles are read
+      void frame.offsetWidth;
+      Object.entries(sampleClones).forEach(([key, clone]) => {
+        sizes[key] = sizes[key] || {};
+        sizes[key][width] = frameWindow.getComputedStyle(clone).fontSize;
+      });
+    });
+
+    return {
+      breakpoints: widths,
+      // The width the rest of the typography results were measured at
+      viewportWidth: window.innerWidth,
+      sizes,
+      fluid
+    };
+  } finally {
+    frame.remove();
+  }
+}
+
+// `variables` is the getCustomProperties() result, used to name colors after their tokens.
+// `onProgress(done, total)` follows each chunk of the walk.
+export async function getColors({ variables } = {}, { settings = {}, onProgress = () => { } } = {}) {
+  // Large pages are sampled down to the node budget and walked in idle-time chunks,
+  // so the tab stays responsive while the popup shows how far along we are
+  const collector = createColorCollector(settings);
+  const sampling = await walkSampledElements(settings, collector.visit, onProgress);
+
+  return {
+    ...collector.build(variables),
+    sampling
+  };
+}
+
+// Same palette in one synchronous pass, for callers that can't yield (a forced theme
+// variant has to be restored before the page paints again)
+export function getColorsSync({ variables } = {}, { settings = {} } = {}) {
+  const collector = createColorCollector(settings);
+  sampleElements(getNodeBudget(settings)).elements.forEach(collector.visit);
+  return collector.build(variables);
+}
+
+export function getNodeBudget(settings = {}) {
+  return settings.nodeBudget > 0 ? settings.nodeBudget : DEFAULT_NODE_BUDGET;
+}
+
+// The page sampled down to the node budget and visited in idle-time chunks; shared by every
+// per-element analyzer. Resolves with what was sampled, for the results' `sampling` field.
+export async function walkSampledElements(settings = {}, visit, onProgress = () => { }) {
+  const budget = getNodeBudget(settings);
+  const { elements, total } = sampleElements(budget);
+  await processInIdleChunks(elements, visit, onProgress);
+  return { elementsTotal: total, elementsAnalyzed: elements.length, budget };
+}
+
+// Elements a per-element style walk should visit. Pages within the budget are walked in full;
+// beyond it, elements likely to carry role colors are kept and the rest sampled at an even stride.
+export function sampleElements(budget) {
+  const all = [];
+  for (const el of walkElements(document.body)) {
+    if (!UNRENDERED_TAGS.has(el.tagName)) all.push(el);
+  }
+  if (all.length <= budget) return { elements: all, total: all.length };
+
+  const picked = new Set(all.filter(el => el.matches(PRIORITY_SELECTOR)).slice(0, Math.floor(budget / 2)));
+  const rest = all.filter(el => !picked.has(el));
+  const remaining = budget - picked.size;
+  const stride = rest.length / remaining;
+  for (let i = 0; i < remaining; i++) {
+    picked.add(rest[Math.floor(i * stride)]);
+  }
+
+  // Tree order, so skipping the descendants of hidden elements still works
+  return { elements: all.filter(el => picked.has(el)), total: all.length };
+}
+
+// Let other tasks (progress messages, the page's own work) run before continuing. Hidden tabs
+// throttle chained timers to once a second, or once a minute after five minutes in the
+// background, but not message events, so there the yield goes through a MessageChannel.
+export function yieldToPage() {
+  if (!document.hidden) return new Promise(resolve => setTimeout(resolve, 0));
+  return new Promise(resolve => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = () => {
+      channel.port1.close();
+      resolve();
+    };
+    channel.port2.postMessage(null);
+  });
+}
+
+// Run `visit` over `items` while the page is idle, reporting after each chunk
+function processInIdleChunks(items, visit, onProgress) {
+  // Safari has no requestIdleCallback, and hidden tabs run idle callbacks only as throttled
+  // timeouts; a short fixed slice per task stands in for it
+  const schedule = window.requestIdleCallback && !document.hidden
+    ? step => window.requestIdleCallback(step, { timeout: IDLE_TIMEOUT_MS })
+    : step => yieldToPage().then(() => step({ timeRemaining: () => Math.max(0, end - performance.now()) }));
+  let end = 0;
+  let index = 0;
+
+  return new Promise((resolve, reject) => {
+    const step = deadline => {
+      end = performance.now() + FALLBACK_SLICE_MS;
+      try {
+        // A minimum chunk keeps a busy page from starving the walk
+        const chunkEnd = Math.min(items.length, index + MIN_CHUNK_SIZE);
+        while (index < items.length && (index < chunkEnd || deadline.timeRemaining() > 1)) {
+          visit(items[index++]);
+        }
+        onProgress(index, items.length);
+        if (index < items.length) {
+          schedule(step);
+        } else {
+          resolve();
+        }
+      } catch (e) {
+        reject(e);
+      }
+    };
+    schedule(step);
+  });
+}
+
+function createColorCollector(settings) {
+  // Enhanced color extraction with role detection and perceptual clustering
+  const colorMap = new Map(); // color string -> { count, sources: { source -> count } }
+  const buttonColors = new Set(); // Colors used in buttons
+  const linkColors = new Set(); // Colors used in links
+  const backgroundColors = new Map(); // background colors -> surface area
+  const textColors = new Map(); // text colors -> character count
+
+  const threshold = typeof settings.colorClusterThreshold === 'number' ? settings.colorClusterThreshold : DEFAULT_CLUSTER_THRESHOLD;
+
+  const isVisibleColor = color => color && color !== 'rgba(0, 0, 0, 0)' && color !== 'transparent';
+  // Without a layout engine no element has a box, so box-less elements can't be told apart
+  const hasLayout = hasLayoutEngine();
+
+  // Web component the walk is currently inside, so colors can be attributed to it
+  let currentComponent = null;
+
+  function addColor(color, source) {
+    if (!isVisibleColor(color)) return;
+    const entry = colorMap.get(color) || { count: 0, sources: {}, components: new Set() };
+    entry.count++;
+    entry.sources[source] = (entry.sources[source] || 0) + 1;
+    if (currentComponent) entry.components.add(currentComponent);
+    colorMap.set(color, entry);
+  }
+
+  // Colors embedded in composite values such as gradients and shadows
+  const addEmbeddedColors = (value, source) => {
+    if (!value || value === 'none') return;
+    (value.match(/rgba?\([^)]*\)/g) || []).forEach(color => addColor(color, source));
+  };
+
+  // Borders, outlines, shadows and gradients, shared by elements and pseudo-elements
+  function addDecorationColors(style, prefix = '') {
+    ['Top', 'Right', 'Bottom', 'Left'].forEach(side => {
+      if (style[`border${side}Style`] !== 'none' && parseFloat(style[`border${side}Width`]) > 0) {
+        addColor(style[`border${side}Color`], `${prefix}border`);
+      }
+    });
+    if (style.outlineStyle !== 'none' && parseFloat(style.outlineWidth) > 0) {
+      addColor(style.outlineColor, `${prefix}outline`);
+    }
+    addEmbeddedColors(style.boxShadow, `${prefix}shadow`);
+    addEmbeddedColors(style.backgroundImage, `${prefix}gradient`);
+  }
+
+  // Element currently known to be display: none; its descendants are skipped unstyled
+  let hiddenAncestor = null;
+
+  // Collect one element's colors; elements in open shadow roots are attributed to their component
+  function visit(el) {
+    if (hiddenAncestor && hiddenAncestor.contains(el)) return;
+
+    currentComponent = getComponentName(el);
+    const style = getComputedStyle(el);
+    if (style.display === 'none') {
+      hiddenAncestor = el;
+      return;
+    }
+    // Nothing is painted for hidden or box-less elements
+    if (style.visibility === 'hidden' || (hasLayout && el.getClientRects().length === 0)) return;
+
+    const bgColor = style.backgroundColor;
+    const textColor = style.color;
+
+    // Skip transparent backgrounds
+    if (isVisibleColor(bgColor)) {
+      // Track background colors by estimated surface area
+      const area = el.clientWidth * el.clientHeight;
+      backgroundColors.set(bgColor, (backgroundColors.get(bgColor) || 0) + area);
+
+      // Count overall colors
+      addColor(bgColor, 'background');
+    }
+
+    if (textColor) {
+      // Track text colors by the characters this element renders itself; descendants
+      // report their own (textContent on every ancestor is quadratic on deep pages)
+      const textLength = Array.from(el.childNodes)
+        .filter(node => node.nodeType === Node.TEXT_NODE)
+        .reduce((length, node) => length + node.textContent.trim().length, 0);
+      textColors.set(textColor, (textColors.get(textColor) || 0) + textLength);
+
+      // Count overall colors
+      addColor(textColor, 'text');
+    }
+
+    addDecorationColors(style);
+
+    // SVG paint; url() and none references aren't colors
+    if (el instanceof SVGElement) {
+      if (style.fill && style.fill.startsWith('rgb')) addColor(style.fill, 'fill');
+      if (style.stroke && style.stroke.startsWith('rgb')) addColor(style.stroke, 'stroke');
+    }
+
+    // Decorative pseudo-elements only exist when they have content
+    ['::before', '::after'].forEach(pseudo => {
+      const pseudoStyle = getComputedStyle(el, pseudo);
+      if (!pseudoStyle.content || pseudoStyle.content === 'none' || pseudoStyle.content === 'normal') return;
+      addColor(pseudoStyle.backgroundColor, 'pseudo-background');
+      if (pseudoStyle.content !== '""') addColor(pseudoStyle.color, 'pseudo-text');
+      addDecorationColors(pseudoStyle, 'pseudo-');
+    });
+
+    // Special elements: buttons, CTAs, links
+    if (el.tagName === 'BUTTON' ||
+      el.tagName === 'A' ||
+      style.cursor === 'pointer' ||
+      el.classList.contains('btn') ||
+      el.classList.contains('button')) {
+
+      if (isVisibleColor(bgColor)) {
+        buttonColors.add(bgColor);
+      }
+
+      // Special case for links
+      if (el.tagName === 'A' && textColor) {
+        linkColors.add(textColor);
+      }
+    }
+  }
+
+  // Cluster what the visits collected into the role palette
+  function build(variables) {
+    // Determine main colors based on frequency and role
+    const sortedByArea = [...backgroundColors.entries()].sort((a, b) => b[1] - a[1]);
+    const sortedByTextUsage = [...textColors.entries()].sort((a, b) => b[1] - a[1]);
+
+    // Perceptual near-duplicates merged into the most used color of each cluster
+    const clusters = clusterColors(
+      Array.from(colorMap.entries())
+        .map(([color, entry]) => ({ color, channels: parseColor(color), ...entry }))
+        .filter(entry => entry.channels),
+      threshold
+    ).map(([leader, ...rest]) => {
+      const cluster = {
+        color: channelsToHex(leader.channels),
+        originalColor: leader.color,
+        parsed: leader.channels,
+        count: leader.count,
+        sources: { ...leader.sources },
+        members: [channelsToHex(leader.channels)],
+        components: new Set(leader.components)
+      };
+
+      rest.forEach(entry => {
+        const hex = channelsToHex(entry.channels);
+        cluster.count += entry.count;
+        Object.entries(entry.sources).forEach(([source, count]) => {
+          cluster.sources[source] = (cluster.sources[source] || 0) + count;
+        });
+        if (!cluster.members.includes(hex)) cluster.members.push(hex);
+        entry.components.forEach(component => cluster.components.add(component));
+      });
+      return cluster;
+    });
+
+    // Custom properties resolving to a color, so swatches can name the token they came from;
+    // used properties are listed first
+    const variablesByHex = new Map();
+    ((variables && variables.variables) || [])
+      .filter(variable => variable.type === 'color')
+      .sort((a, b) => Number(b.used) - Number(a.used))
+      .forEach(variable => {
+        const names = variablesByHex.get(variable.color) || [];
+        names.push(variable.name);
+        variablesByHex.set(variable.color, names);
+      });
+    const variablesFor = hexes => [...new Set(hexes.flatMap(hex => variablesByHex.get(hex) || []))];
+
+    const roleColor = color => {
+      const hex = toHexWithAlpha(color);
+      return { color: hex, originalColor: color, variables: variablesFor([hex]) };
+    };
+
+    // Create palette with roles
+    const palette = {
+      background: sortedByArea.length > 0 ? roleColor(sortedByArea[0][0]) : null,
+      text: sortedByTextUsage.length > 0 ? roleColor(sortedByTextUsage[0][0]) : null,
+      accent: buttonColors.size > 0 ? roleColor(Array.from(buttonColors)[0]) : null,
+      link: linkColors.size > 0 ? roleColor(Array.from(linkColors)[0]) : null,
+      // All colors by frequency, with perceptual near-duplicates merged
+      all: clusters
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 12) // Limit to top 12 colors for a good range
+        .map(({ parsed, components, ...cluster }) => ({
+          ...cluster,
+          components: Array.from(components),
+          alpha: Math.round(parsed.a * 100) / 100,
+          variables: variablesFor([cluster.color, ...cluster.members])
+        })),
+      clusterThreshold: threshold
+    };
+
+    return palette;
+  }
+
+  return { visit, build };
+}
+
+// `context` is what the popup hands content.js: MAIN-world global probes, response headers,
+// team signatures and settings. Without globals, whatever the current world can see is used.
+export function detectTechnologies(context = {}) {
+  const signatures = BUILT_IN_SIGNATURES.concat(context.customSignatures || []);
+
+  return matchSignatures(signatures, {
+    globals: context.globals || null,
+    headers: context.responseHeaders ? context.responseHeaders.headers : null,
+    nodeBudget: getNodeBudget(context.settings || {})
+  });
+}
@@ -1,4 +1,99 @@
 // Background script for Manifest V3
+import { MESSAGE_TYPES } from './messages';
+
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Site Info Extension installed');
 });
+
+// Main-document response headers are captured per tab as pages load. They live in session
+// storage because the service worker may be stopped before the popup asks for them.
+const headersKey = tabId => `responseHeaders:${tabId}`;
+
+function normalizeHeaders(headerList) {
+  const headers = {};
+  headerList.forEach(({ name, value }) => {
+    const key = name.toLowerCase();
+    headers[key] = headers[key] ? `${headers[key]}, ${value}` : value;
+  });
+  return headers;
+}
+
+chrome.webRequest.onHeadersReceived.addListener(
+  details => {
+    if (details.tabId < 0) return;
+
+    chrome.storage.session.set({
+      [headersKey(details.tabId)]: {
+        url: details.url,
+        statusCode: details.statusCode,
+        headers: normalizeHeaders(details.responseHeaders || []),
+        source: 'webRequest',
+        capturedAt: new Date().toISOString()
+      }
+    });
+  },
+  { urls: ['<all_urls>'], types: ['main_frame'] },
+  ['responseHeaders']
+);
+
+chrome.tabs.onRemoved.addListener(tabId => {
+  chrome.storage.session.remove(headersKey(tabId));
+});
+
+// Pages loaded before the extension was installed have nothing captured; ask the server again
+async function fetchHeaders(url) {
+  const response = await fetch(url, { method: 'HEAD', credentials: 'include', cache: 'no-store' });
+  const headerList = [];
+  response.headers.forEach((value, name) => headerList.push({ name, value }));
+
+  return {
+    url: response.url,
+    statusCode: response.status,
+    headers: normalizeHeaders(headerList),
+    source: 'fetch',
+    capturedAt: new Date().toISOString()
+  };
+}
+
+// Fragments never reach the server, so they don't make a different document
+function sameDocument(first, second) {
+  try {
+    const a = new URL(first);
+    const b = new URL(second);
+    a.hash = '';
+    b.hash = '';
+    return a.href === b.href;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Back/forward cache restores and client-side navigations fire no webRequest event, so the
+// saved headers may belong to another page of the tab; they're only used for the same URL
+async function getResponseHeaders(tabId, url) {
+  const stored = (await chrome.storage.session.get(headersKey(tabId)))[headersKey(tabId)];
+  if (stored && [stored.url, stored.requestedUrl].some(savedUrl => sameDocument(savedUrl, url))) {
+    return stored;
+  }
+
+  if (!/^https?:/.test(url || '')) return null;
+
+  // Fetched headers remember the URL asked for too, since a redirect changes `url`
+  const captured = { ...(await fetchHeaders(url)), requestedUrl: url };
+  await chrome.storage.session.set({ [headersKey(tabId)]: captured });
+  return captured;
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || message.type !== MESSAGE_TYPES.GET_RESPONSE_HEADERS) return false;
+
+  getResponseHeaders(message.tabId, message.url)
+    .then(sendResponse)
+    .catch(error => {
+      console.error('Error getting response headers:', error);
+      sendResponse(null);
+    });
+
+  // Keep the channel open for the async response
+  return true;
+});
@@ -0,0 +1,287 @@
+import './options.css';
+import './batch.css';
+import { aggregateCrawl, crawlToCsv, parseSitemap, parseUrlList, toPageResult } from './crawl';
+import { downloadFile, escapeHtml } from './html-utils';
+import { analyzeTab } from './tab-analysis';
+
+const DEFAULT_MAX_PAGES = 50;
+// Sitemap indexes can nest; stop following them after this many files
+const MAX_SITEMAPS = 20;
+// How long a page may take to finish loading before it's recorded as failed
+const PAGE_LOAD_TIMEOUT_MS = 30000;
+
+let pages = [];
+let stopRequested = false;
+
+document.addEventListener('DOMContentLoaded', () => {
+  // The popup passes the site it was opened on, so its sitemap is one click away
+  const origin = new URLSearchParams(window.location.search).get('origin');
+
+  const root = document.getElementById('root');
+  root.innerHTML = `
+    <main>
+      <h1>Site Info Batch Crawl</h1>
+
+      <div class="card">
+        <h2>Pages</h2>
+        <p>
+          One URL per line. Each page is opened in a background tab, analyzed like the popup
+          does, and aggregated below. Load a sitemap to fill the list from it.
+        </p>
+        <div class="actions">
+          <input id="sitemap-url" type="url" placeholder="https://example.com/sitemap.xml"
+            value="${origin ? `${escapeHtml(origin)}/sitemap.xml` : ''}">
+          <button id="load-sitemap" class="button button-secondary">Load Sitemap</button>
+        </div>
+        <textarea id="urls" spellcheck="false" placeholder="https://example.com/&#10;https://example.com/about"></textarea>
+        <div class="actions">
+          <label for="max-pages">Max pages</label>
+          <input id="max-pages" type="number" min="1" value="${DEFAULT_MAX_PAGES}">
+          <button id="start" class="button">Start</button>
+          <button id="stop" class="button button-secondary" disabled>Stop</button>
+          <span id="status" class="status"></span>
+        </div>
+      </div>
+
+      <div id="results"></div>
+    </main>
+  `;
+
+  document.getElementById('load-sitemap').addEventListener('click', async () => {
+    const url = document.getElementById('sitemap-url').value.trim();
+    if (!url) return;
+
+    showStatus('Loading sitemap...');
+    try {
+      const urls = await loadSitemap(url);
+      document.getElementById('urls').value = urls.join('\n');
+      showStatus(`Loaded ${urls.length} URL${urls.length === 1 ? '' : 's'} from the sitemap`, 'success');
+    } catch (error) {
+      showStatus(`Could not load sitemap: ${error.message}`, 'error');
+    }
+  });
+
+  document.getElementById('start').addEventListener('click', () => {
+    const maxPages = parseInt(document.getElementById('max-pages').value, 10);
+    const urls = parseUrlList(document.getElementById('urls').value);
+    if (urls.length === 0) {
+      showStatus('Add at least one http(s) URL', 'error');
+      return;
+    }
+    if (isNaN(maxPages) || maxPages < 1) {
+      showStatus('Max pages must be at least 1', 'error');
+      return;
+    }
+
+    runCrawl(urls.slice(0, maxPages));
+  });
+
+  document.getElementById('stop').addEventListener('click', () => {
+    stopRequested = true;
+    showStatus('Stopping after the current page...');
+  });
+});
+
+// Page URLs from a sitemap, following sitemap indexes breadth-first
+async function loadSitemap(url) {
+  const queue = [url];
+  const seen = new Set();
+  const urls = new Set();
+
+  while (queue.length > 0 && seen.size < MAX_SITEMAPS) {
+    const next = queue.shift();
+    if (seen.has(next)) continue;
+    seen.add(next);
+
+    const response = await fetch(next);
+    if (!response.ok) {
+      throw new Error(`${next} returned ${response.status} ${response.statusText}`);
+    }
+    const sitemap = parseSitemap(await response.text());
+    sitemap.urls.forEach(pageUrl => urls.add(pageUrl));
+    queue.push(...sitemap.sitemaps);
+  }
+
+  return [...urls];
+}
+
+// Pages are analyzed one at a time in a single background tab, which is closed afterwards
+async function runCrawl(urls) {
+  const startButton = document.getElementById('start');
+  const stopButton = document.getElementById('stop');
+  startButton.disabled = true;
+  stopButton.disabled = false;
+  stopRequested = false;
+  pages = [];
+  renderResults();
+
+  let tabId = null;
+  try {
+    for (const [index, url] of urls.entries()) {
+      if (stopRequested) break;
+      showStatus(`Analyzing ${index + 1} of ${urls.length}: ${url}`);
+
+      try {
+        if (tabId === null) {
+          tabId = (await chrome.tabs.create({ url: 'about:blank', active: false })).id;
+        }
+        const tab = await loadInTab(tabId, url);
+        pages.push(toPageResult(url, await analyzeTab(tab)));
+      } catch (error) {
+        console.error(`Error analyzing ${url}:`, error);
+        pages.push({ url, error: error.message });
+      }
+      renderResults();
+    }
+
+    const failed = pages.filter(page => page.error).length;
+    showStatus(`${stopRequested ? 'Stopped' : 'Done'}: ${pages.length - failed} analyzed` +
+      (failed ? `, ${failed} failed` : ''), failed ? 'error' : 'success');
+  } finally {
+    if (tabId !== null) {
+      chrome.tabs.remove(tabId).catch(error => {
+        console.warn('Could not close the crawl tab:', error);
+      });
+    }
+    startButton.disabled = false;
+    stopButton.disabled = true;
+  }
+}
+
+// Navigate the tab and resolve with it once the new page has loaded. Waiting for a
+// `loading` update first keeps the previous page's late `complete` from counting, and
+// the blank page the tab starts on never counts.
+function loadInTab(tabId, url) {
+  return new Promise((resolve, reject) => {
+    let loading = false;
+
+    const finish = () => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+    };
+
+    const timer = setTimeout(() => {
+      finish();
+      reject(new Error('Page load timed out'));
+    }, PAGE_LOAD_TIMEOUT_MS);
+
+    const listener = (updatedTabId, changeInfo, tab) => {
+      if (updatedTabId !== tabId) return;
+      if (changeInfo.status === 'loading') loading = true;
+      if (loading && changeInfo.status === 'complete' && tab.url !== 'about:blank') {
+        finish();
+        resolve(tab);
+      }
+    };
+
+    chrome.tabs.onUpdated.addListener(listener);
+    chrome.tabs.update(tabId, { url }).catch(error => {
+      finish();
+      reject(error);
+    });
+  });
+}
+
+function renderResults() {
+  const container = document.getElementById('results');
+  if (pages.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const aggregate = aggregateCrawl(pages);
+  const deviating = new Set(aggregate.deviations.map(({ url }) => url));
+  const pageCount = count => `${count} of ${aggregate.analyzed} page${aggregate.analyzed === 1 ? '' : 's'}`;
+  const countList = (entries, renderValue = escapeHtml) => entries.length > 0
+    ? `<ul class="count-list">${entries.map(({ value, pages: count }) => `
+        <li>
+          <span class="count-value">${renderValue(value)}</span>
+          <span class="count-pages">${pageCount(count)}</span>
+        </li>
+      `).join('')}</ul>`
+    : '<p>None found</p>';
+
+  container.innerHTML = `
+    <div class="card">
+      <h2>Site-wide Summary</h2>
+      <p>
+        ${aggregate.analyzed} of ${aggregate.pages} page${aggregate.pages === 1 ? '' : 's'} analyzed.
+        Colors on at least half of the pages make up the dominant palette.
+      </p>
+      <div class="summary-grid">
+        <div>
+          <h2>Fonts</h2>
+          ${countList(aggregate.fonts)}
+        </div>
+        <div>
+          <h2>Colors</h2>
+          ${countList(aggregate.colors, color => `
+            <span class="swatch" style="background-color: ${escapeHtml(color)}"></span>
+            ${escapeHtml(color)}
+            ${aggregate.dominantPalette.includes(color) ? '<span class="dominant">dominant</span>' : ''}
+          `)}
+        </div>
+        <div>
+          <h2>Technologies</h2>
+          ${countList(aggregate.technologies)}
+        </div>
+        <div>
+          <h2>Off-palette Pages</h2>
+          ${aggregate.deviations.length > 0 ? `
+            <ul class="count-list">
+              ${aggregate.deviations.map(({ url, offPalette, share }) => `
+                <li>
+                  <span class="count-value" title="${escapeHtml(url)}">${escapeHtml(url)}</span>
+                  <span class="count-pages" title="${escapeHtml(offPalette.join(', '))}">
+                    ${Math.round(share * 100)}% off-palette
+                  </span>
+                </li>
+              `).join('')}
+            </ul>
+          ` : '<p>Every page mostly sticks to the dominant palette</p>'}
+        </div>
+      </div>
+      <div class="actions">
+        <button id="export-csv" class="button button-secondary">Export CSV</button>
+        <button id="export-json" class="button button-secondary">Export JSON</button>
+      </div>
+    </div>
+
+    <div class="card">
+      <h2>Pages</h2>
+      <table>
+        <thead>
+          <tr><th>Page</th><th>Status</th><th>Fonts</th><th>Technologies</th></tr>
+        </thead>
+        <tbody>
+          ${pages.map(page => `
+            <tr>
+              <td class="url">${escapeHtml(page.url)}</td>
+              ${page.error ? `
+                <td class="page-error" colspan="3">${escapeHtml(page.error)}</td>
+              ` : `
+                <td class="${deviating.has(page.url) ? 'page-deviates' : ''}">${deviating.has(page.url) ? 'Off-palette' : 'OK'}</td>
+                <td>${escapeHtml(page.fonts.join(', '))}</td>
+                <td>${escapeHtml(page.technologies.join(', '))}</td>
+              `}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+
+  const date = new Date().toISOString().slice(0, 10);
+  document.getElementById('export-csv').addEventListener('click', () => {
+    downloadFile(crawlToCsv(pages, aggregate), `site-info-crawl-${date}.csv`, 'text/csv');
+  });
+  document.getElementById('export-json').addEventListener('click', () => {
+    downloadFile(JSON.stringify({ summary: aggregate, pages }, null, 2), `site-info-crawl-${date}.json`, 'application/json');
+  });
+}
+
+function showStatus(message, type = '') {
+  const status = document.getElementById('status');
+  status.textContent = message;
+  status.className = `status ${type}`;
+}
@@ -0,0 +1,103 @@
+// Command line interface: `site-info analyze <file-or-url>` for CI snapshots of a site's design tokens
+import fs from 'fs';
+import { diffSnapshots } from './history';
+import { analyze } from './node';
+import { formatTokens } from './tokens';
+
+// --format values: the full analysis as JSON, or one of the design token formats
+const TOKEN_FORMAT_NAMES = {
+  css: 'css',
+  scss: 'scss',
+  tailwind: 'tailwind',
+  'style-dictionary': 'json'
+};
+
+const USAGE = `Usage: site-info analyze <file-or-url> [options]
+
+Options:
+  --format <format>   json (default), css, scss, tailwind or style-dictionary
+  --output <file>     Write to a file instead of stdout
+  --baseline <file>   Compare with an earlier --format json result and exit 1 on drift
+  --help              Show this help`;
+
+function parseArgs(argv) {
+  const args = { positional: [], format: 'json', output: null, baseline: null, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (['--format', '--output', '--baseline'].includes(arg)) {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      args[arg.slice(2)] = argv[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      args.positional.push(arg);
+    }
+  }
+  return args;
+}
+
+function formatResult(data, format) {
+  if (format === 'json') return JSON.stringify(data, null, 2) + '\n';
+  if (!TOKEN_FORMAT_NAMES[format]) {
+    throw new Error(`Unknown format "${format}"; use json, ${Object.keys(TOKEN_FORMAT_NAMES).join(', ')}`);
+  }
+  return formatTokens(data, TOKEN_FORMAT_NAMES[format]);
+}
+
+// Human-readable drift report in the same terms as the popup's History view
+function describeDiff(diff) {
+  const lines = [];
+  ['colors', 'fonts', 'technologies'].forEach(key => {
+    diff[key].added.forEach(item => lines.push(`+ ${key}: ${item}`));
+    diff[key].removed.forEach(item => lines.push(`- ${key}: ${item}`));
+  });
+  diff.headings.forEach(({ level, from, to }) => {
+    lines.push(`~ ${level}: ${from || 'none'} -> ${to || 'none'}`);
+  });
+  return lines.join('\n');
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  const [command, target] = args.positional;
+
+  if (args.help || !command) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (command !== 'analyze' || !target) {
+    console.error(USAGE);
+    return 2;
+  }
+
+  const data = await analyze(target);
+  const output = formatResult(data, args.format);
+  if (args.output) {
+    await fs.promises.writeFile(args.output, output);
+  } else {
+    process.stdout.write(output);
+  }
+
+  if (args.baseline) {
+    const baseline = JSON.parse(await fs.promises.readFile(args.baseline, 'utf8'));
+    const diff = diffSnapshots(baseline, data);
+    if (!diff.unchanged) {
+      console.error(`Design drift from ${args.baseline}:\n${describeDiff(diff)}`);
+      return 1;
+    }
+    console.error(`No drift from ${args.baseline}`);
+  }
+
+  return 0;
+}
+
+main(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(`site-info: ${error.message}`);
+    process.exitCode = 2;
+  });
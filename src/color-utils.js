@@ -0,0 +1,165 @@
+// Color helpers shared by the page-side scripts
+
+// Convert a computed rgb()/rgba() string to lowercase hex for display and deduplication
+export function rgbaToHex(rgba) {
+  if (!rgba || rgba === 'transparent' || rgba === 'rgba(0, 0, 0, 0)') return null;
+
+  // Handle both rgb/rgba formats
+  const rgbaMatch = rgba.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([0-9.]+))?\)/);
+  if (!rgbaMatch) return rgba; // Return original if format not recognized
+
+  const r = parseInt(rgbaMatch[1], 10);
+  const g = parseInt(rgbaMatch[2], 10);
+  const b = parseInt(rgbaMatch[3], 10);
+
+  // Convert to lowercase hex for consistent deduplication
+  return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`.toLowerCase();
+}
+
+// Parse a computed rgb()/rgba() string into channels; null for formats we can't read
+export function parseColor(value) {
+  if (!value) return null;
+  if (value === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+
+  const match = value.match(/rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)/);
+  if (!match) return null;
+
+  let a = 1;
+  if (match[4] !== undefined) {
+    a = match[4].endsWith('%') ? parseFloat(match[4]) / 100 : parseFloat(match[4]);
+  }
+
+  return {
+    r: parseFloat(match[1]),
+    g: parseFloat(match[2]),
+    b: parseFloat(match[3]),
+    a
+  };
+}
+
+// Composite a (possibly translucent) color over an opaque backdrop
+export function blendColors(top, bottom) {
+  const a = top.a;
+  return {
+    r: top.r * a + bottom.r * (1 - a),
+    g: top.g * a + bottom.g * (1 - a),
+    b: top.b * a + bottom.b * (1 - a),
+    a: 1
+  };
+}
+
+export function channelsToHex({ r, g, b, a = 1 }) {
+  const channels = a < 1 ? [r, g, b, a * 255] : [r, g, b];
+  return `#${channels.map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// WCAG 2.x relative luminance
+export function relativeLuminance({ r, g, b }) {
+  const [R, G, B] = [r, g, b].map(c => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+}
+
+// WCAG 2.x contrast ratio between two opaque colors, from 1 to 21
+export function contrastRatio(foreground, background) {
+  const l1 = relativeLuminance(foreground);
+  const l2 = relativeLuminance(background);
+  const lighter = Math.max(l1, l2);
+  const darker = Math.min(l1, l2);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+// Hex for display, with an alpha byte appended when the color is translucent
+export function toHexWithAlpha(value) {
+  const color = parseColor(value);
+  if (!color || color.a === 0) return null;
+  return channelsToHex(color);
+}
+
+// OKLab coordinates, a perceptually uniform space suited to color distance
+export function toOklab({ r, g, b }) {
+  const [R, G, B] = [r, g, b].map(c => {
+    const s = c / 255;
+    return s <= 0.04045 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+  });
+
+  const l = Math.cbrt(0.4122214708 * R + 0.5363325363 * G + 0.0514459929 * B);
+  const m = Math.cbrt(0.2119034982 * R + 0.6806995451 * G + 0.1073969566 * B);
+  const s = Math.cbrt(0.0883024619 * R + 0.2817188376 * G + 0.6299787005 * B);
+
+  return {
+    L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  };
+}
+
+// Perceptual difference (ΔE in OKLab, scaled by 100 so ~2 is a just-noticeable difference)
+export function deltaE(first, second) {
+  const x = toOklab(first);
+  const y = toOklab(second);
+  return 100 * Math.sqrt((x.L - y.L) ** 2 + (x.a - y.a) ** 2 + (x.b - y.b) ** 2);
+}
+
+// ΔE below which two colors count as the same palette entry, unless the settings say otherwise
+export const DEFAULT_CLUSTER_THRESHOLD = 3;
+
+// Perceptual clustering: the most used color leads each cluster and absorbs anything within
+// `threshold` ΔE at a similar opacity. A threshold of 0 keeps exact hexes apart.
+// `entries` need parsed `channels` and a `count`; each cluster is its entries, leader first.
+export function clusterColors(entries, threshold) {
+  const clusters = [];
+  [...entries]
+    .sort((a, b) => b.count - a.count)
+    .forEach(entry => {
+      const hex = channelsToHex(entry.channels);
+      const cluster = clusters.find(([leader]) =>
+        Math.abs(leader.channels.a - entry.channels.a) <= 0.05 &&
+        (channelsToHex(leader.channels) === hex || deltaE(leader.channels, entry.channels) <= threshold));
+
+      if (cluster) {
+        cluster.push(entry);
+      } else {
+        clusters.push([entry]);
+      }
+    });
+  return clusters;
+}
+
+// Channels of a #rgb, #rrggbb or #rrggbbaa string; null for anything else
+export function parseHex(hex) {
+  const match = /^#([\da-f]{3}|[\da-f]{6}|[\da-f]{8})$/i.exec(hex || '');
+  if (!match) return null;
+
+  const digits = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+  const channel = index => parseInt(digits.slice(index * 2, index * 2 + 2), 16);
+  return {
+    r: channel(0),
+    g: channel(1),
+    b: channel(2),
+    a: digits.length === 8 ? Math.round((channel(3) / 255) * 100) / 100 : 1
+  };
+}
+
+// Hue in degrees, saturation and lightness in percent, all rounded for display
+export function toHsl({ r, g, b }) {
+  const [R, G, B] = [r, g, b].map(c => c / 255);
+  const max = Math.max(R, G, B);
+  const min = Math.min(R, G, B);
+  const l = (max + min) / 2;
+  const d = max - min;
+
+  let h = 0;
+  let s = 0;
+  if (d > 0) {
+    s = d / (1 - Math.abs(2 * l - 1));
+    if (max === R) h = ((G - B) / d) % 6;
+    else if (max === G) h = (B - R) / d + 2;
+    else h = (R - G) / d + 4;
+    h = (h * 60 + 360) % 360;
+  }
+
+  return { h: Math.round(h), s: Math.round(s * 100), l: Math.round(l * 100) };
+}
@@ -0,0 +1,39 @@
+// Side-by-side comparison of two different sites' analyses, for the popup's Compare view
+import { fontFamilies, paletteColors, technologyNames } from './history';
+
+const COLOR_ROLES = ['background', 'text', 'accent', 'link'];
+const HEADING_LEVELS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+// What both sides have, and what only one of them has
+function overlap(first, second) {
+  return {
+    shared: [...first].filter(item => second.has(item)),
+    onlyFirst: [...first].filter(item => !second.has(item)),
+    onlySecond: [...second].filter(item => !first.has(item))
+  };
+}
+
+// Roles and heading sizes are paired up by name; a side that lacks one reports null
+function pair(first, second) {
+  return { first, second, same: first !== null && first === second };
+}
+
+export function compareSites(first, second) {
+  const roleColor = (data, role) => (data.colors && data.colors[role] ? data.colors[role].color : null);
+  const headingSize = (data, level) => {
+    const headings = (data.typography && data.typography.headings) || {};
+    return headings[level] ? headings[level].fontSize : null;
+  };
+
+  return {
+    roles: COLOR_ROLES
+      .map(role => ({ role, ...pair(roleColor(first, role), roleColor(second, role)) }))
+      .filter(({ first: a, second: b }) => a !== null || b !== null),
+    palette: overlap(paletteColors(first.colors), paletteColors(second.colors)),
+    fonts: overlap(fontFamilies(first.typography), fontFamilies(second.typography)),
+    headings: HEADING_LEVELS
+      .map(level => ({ level, ...pair(headingSize(first, level), headingSize(second, level)) }))
+      .filter(({ first: a, second: b }) => a !== null || b !== null),
+    technologies: overlap(technologyNames(first.technologies), technologyNames(second.technologies))
+  };
+}
@@ -1,473 +1,1439 @@
 // This script runs in the context of the page and collects site info
+import { detectTechnologies, getColors, getColorsSync, getNodeBudget, getTypography, sampleElements, walkSampledElements, yieldToPage } from './analyzers';
+import { blendColors, channelsToHex, contrastRatio, parseColor, relativeLuminance, toHexWithAlpha } from './color-utils';
+import { getComponentName, getComposedParent, getCssSelector } from './dom-utils';
+import { MESSAGE_TYPES } from './messages';
+import { getSiteDomain, isFirstParty } from './url-utils';
+import { findVendor } from './vendors';
+
 (function () {
+  // The popup injects into every frame; same-origin frames are analyzed with a subset of the
+  // analyzers and merged into the page's results by the popup, cross-origin ones are left alone
+  const isFrame = window !== window.top;
+  const FRAME_ANALYZERS = ['typography', 'colors', 'layout', 'accessibility'];
+  if (isFrame && !isSameOriginWithTop()) return;
+
   console.log('Site Info Extension: Content script starting analysis');
 
-  try {
-    // Only run once, avoid duplicate analysis
-    if (window.__SITE_INFO__) {
-      console.log('Site Info Extension: Analysis already completed');
-      return;
-    }
+  // Only run once per URL, avoid duplicate analysis
+  const cached = window.__SITE_INFO__;
+  if (cached && (cached.status === 'analyzing' || cached.url === window.location.href)) {
+    console.log('Site Info Extension: Analysis already completed');
+    return;
+  }
+
+  // Set a sentinel value first to indicate we're working
+  window.__SITE_INFO__ = { status: 'analyzing', url: window.location.href };
 
-    // Set a sentinel value first to indicate we're working
-    window.__SITE_INFO__ = { status: 'analyzing' };
+  watchNavigation();
+  runAnalysis();
 
-    // Wrap all analysis in try-catch blocks to ensure we return something useful
-    let typography;
+  async function runAnalysis() {
     try {
-      typography = getTypography();
-    } catch (e) {
-      console.error('Error in typography analysis:', e);
-      typography = { error: e.message };
+      // The popup leaves MAIN-world global probes, response headers, team signatures and settings
+      // here before injecting us
+      const context = window.__SITE_INFO_CONTEXT__ || {};
+      // Per-element walks report how far along they are, so a long one isn't taken for stuck
+      const walkOptions = analyzer => ({
+        settings: context.settings,
+        onProgress: (done, total) => notifyPopup({ type: MESSAGE_TYPES.ANALYSIS_STEP, analyzer, done, total })
+      });
+      const analyzers = {
+        typography: getTypography,
+        fonts: results => analyzeFonts(results, walkOptions('fonts')),
+        variables: getCustomProperties,
+        colors: results => getColors(results, walkOptions('colors')),
+        layout: results => getLayout(results, walkOptions('layout')),
+        accessibility: results => auditContrast(results, walkOptions('accessibility')),
+        themes: analyzeThemes,
+        meta: inspectMetadata,
+        technologies: () => detectTechnologies(context),
+        thirdParties: inventoryThirdParties,
+        security: auditSecurity,
+        performance: analyzePerformance
+      };
+      const results = {};
+      const durations = {}; // analyzer -> ms
+      const startedAt = performance.now();
+      const selected = Object.entries(analyzers).filter(([name]) => !isFrame || FRAME_ANALYZERS.includes(name));
+
+      for (const [name, analyzer] of selected) {
+        // Yield between analyzers so progress messages go out while the rest still runs
+        await yieldToPage();
+
+        // Wrap each analyzer in try-catch to ensure we return something useful.
+        // Earlier results are passed along so later analyzers can build on them.
+        const analyzerStartedAt = performance.now();
+        try {
+          results[name] = await analyzer(results);
+        } catch (e) {
+          console.error(`Error in ${name} analysis:`, e);
+          results[name] = { error: e.message };
+        }
+        durations[name] = Math.round(performance.now() - analyzerStartedAt);
+
+        // Keep the URL on every update, so the popup doesn't mistake a running analysis for a stale one
+        window.__SITE_INFO__ = { status: 'analyzing', url: window.location.href, ...results };
+        notifyPopup({ type: MESSAGE_TYPES.ANALYSIS_PROGRESS, analyzer: name, result: results[name] });
+      }
+
+      // Final site info object
+      const siteInfo = {
+        ...results,
+        url: window.location.href,
+        title: document.title,
+        timestamp: new Date().toISOString(),
+        // Wall time, including the idle time chunked walks wait for
+        duration: { total: Math.round(performance.now() - startedAt), analyzers: durations }
+      };
+
+      window.__SITE_INFO__ = siteInfo;
+      notifyPopup({ type: MESSAGE_TYPES.ANALYSIS_COMPLETE, data: siteInfo });
+      console.log('Site Info Extension: Analysis complete', siteInfo);
+    } catch (error) {
+      console.error('Site Info Extension: Error during analysis', error);
+      window.__SITE_INFO__ = {
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+      notifyPopup({ type: MESSAGE_TYPES.ANALYSIS_ERROR, error: error.message });
     }
+  }
 
-    let colors;
+  // Drop cached results when an SPA navigates client-side, so the next popup re-analyzes.
+  // The popup also compares URLs, since history.pushState can't be observed from here.
+  function watchNavigation() {
+    if (window.__SITE_INFO_NAVIGATION_WATCHED__) return;
+    window.__SITE_INFO_NAVIGATION_WATCHED__ = true;
+
+    const invalidate = () => {
+      const info = window.__SITE_INFO__;
+      if (info && info.status !== 'analyzing' && info.url !== window.location.href) {
+        delete window.__SITE_INFO__;
+      }
+    };
+
+    window.addEventListener('popstate', invalidate);
+    window.addEventListener('hashchange', invalidate);
+    if (window.navigation) {
+      window.navigation.addEventListener('navigatesuccess', invalidate);
+    }
+  }
+
+  function isSameOriginWithTop() {
     try {
-      colors = getColors();
+      return Boolean(window.top.location.href);
     } catch (e) {
-      console.error('Error in color analysis:', e);
-      colors = { error: e.message };
+      return false;
     }
+  }
 
-    let technologies;
+  // The popup may have been closed, in which case nobody is listening.
+  // Frames don't report; the popup collects their results once the page is done.
+  function notifyPopup(message) {
+    if (isFrame) return;
     try {
-      technologies = detectTechnologies();
+      chrome.runtime.sendMessage(message).catch(() => { });
     } catch (e) {
-      console.error('Error in technology detection:', e);
-      technologies = { error: e.message };
+      console.warn('Site Info Extension: Could not notify popup', e);
     }
+  }
 
-    // Final site info object
-    const siteInfo = {
-      typography,
-      colors,
-      technologies,
-      url: window.location.href,
-      title: document.title,
-      timestamp: new Date().toISOString()
+  async function analyzeFonts(results, { settings, onProgress } = {}) {
+    // Web fonts from document.fonts and @font-face rules: what loaded, from where, and what rendered
+    const FONT_FILE_PATTERN = /\.(woff2|woff|ttf|otf|eot)(?:[?#]|$)/i;
+    const GENERIC_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui',
+      'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded', 'emoji', 'math', 'fangsong',
+      '-apple-system', 'blinkmacsystemfont'];
+
+    // Statuses settle once pending loads finish; don't wait forever on a stuck font
+    await Promise.race([
+      document.fonts.ready,
+      new Promise(resolve => setTimeout(resolve, 3000))
+    ]);
+
+    const normalizeFamily = family => family.trim().replace(/^["']|["']$/g, '');
+    const familyKey = family => normalizeFamily(family).toLowerCase();
+
+    function getProvider(url) {
+      let host;
+      try {
+        host = new URL(url, window.location.href).hostname;
+      } catch (e) {
+        return 'Unknown';
+      }
+      if (/(^|\.)fonts\.(gstatic|googleapis)\.com$/.test(host)) return 'Google Fonts';
+      if (/(^|\.)typekit\.(net|com)$/.test(host)) return 'Adobe Fonts';
+      if (/(^|\.)fonts\.bunny\.net$/.test(host)) return 'Bunny Fonts';
+      if (/(^|\.)fonts\.net$/.test(host)) return 'Fonts.com';
+      if (/(^|\.)typography\.com$/.test(host)) return 'Hoefler&Co.';
+      if (/(^|\.)fontawesome\.com$/.test(host)) return 'Font Awesome';
+      if (host === window.location.hostname) return 'Self-hosted';
+      return host;
+    }
+
+    function getFormat(url, declaredFormat) {
+      if (declaredFormat) return declaredFormat.toLowerCase();
+      const match = url.match(FONT_FILE_PATTERN);
+      if (match) return match[1].toLowerCase();
+      // Google Fonts serves extensionless URLs; modern browsers get woff2
+      return /fonts\.gstatic\.com/.test(url) ? 'woff2' : 'unknown';
+    }
+
+    // Actual bytes fetched, from Resource Timing
+    const fontEntries = performance.getEntriesByType('resource')
+      .filter(entry => FONT_FILE_PATTERN.test(entry.name) || /fonts\.gstatic\.com|use\.typekit\.net\/af\//.test(entry.name));
+    const bytesByUrl = new Map(fontEntries.map(entry => [entry.name, entry.transferSize || entry.encodedBodySize || 0]));
+
+    // Source URLs per family from readable @font-face rules (cross-origin sheets can't be read)
+    const sourcesByFamily = new Map();
+    let inaccessibleStylesheets = 0;
+    const collectFontFaces = rules => {
+      Array.from(rules).forEach(rule => {
+        if (rule.type === CSSRule.FONT_FACE_RULE) {
+          const family = familyKey(rule.style.getPropertyValue('font-family'));
+          const src = rule.style.getPropertyValue('src');
+          const sources = sourcesByFamily.get(family) || [];
+          const srcPattern = /url\(\s*["']?([^"')]+)["']?\s*\)(?:\s*format\(\s*["']?([^"')]+)["']?\s*\))?/g;
+          let match;
+          while ((match = srcPattern.exec(src))) {
+            const url = new URL(match[1], rule.parentStyleSheet.href || window.location.href).href;
+            if (!sources.some(source => source.url === url)) {
+              sources.push({ url, format: getFormat(url, match[2]) });
+            }
+          }
+          sourcesByFamily.set(family, sources);
+        } else if (rule.cssRules) {
+          // @media, @supports and friends
+          collectFontFaces(rule.cssRules);
+        }
+      });
     };
+    Array.from(document.styleSheets).forEach(sheet => {
+      try {
+        collectFontFaces(sheet.cssRules);
+      } catch (e) {
+        inaccessibleStylesheets++;
+      }
+    });
 
-    window.__SITE_INFO__ = siteInfo;
-    console.log('Site Info Extension: Analysis complete', siteInfo);
-  } catch (error) {
-    console.error('Site Info Extension: Error during analysis', error);
-    window.__SITE_INFO__ = {
-      error: error.message,
-      timestamp: new Date().toISOString()
+    // Faces registered with the page, keyed by family
+    const faces = new Map();
+    document.fonts.forEach(face => {
+      const key = familyKey(face.family);
+      if (!faces.has(key)) {
+        faces.set(key, { family: normalizeFamily(face.family), faces: [] });
+      }
+      faces.get(key).faces.push({
+        weight: face.weight,
+        style: face.style,
+        display: face.display,
+        status: face.status
+      });
+    });
+
+    // A face's weight may be a variable range such as "100 900"
+    const coversWeight = (face, weight) => {
+      const [min, max = min] = face.weight.split(/\s+/).map(value =>
+        value === 'normal' ? 400 : value === 'bold' ? 700 : parseFloat(value));
+      return weight >= min && weight <= max;
     };
-  }
+    const coversStyle = (face, style) => (style === 'normal' ? face.style === 'normal' : face.style !== 'normal');
+
+    // Which family in each used stack actually rendered, and with which weights/styles
+    const used = new Map(); // family key -> Set("weight style")
+    const fallbacks = new Map(); // stack -> fallback info
+    const seenCombos = new Set();
+
+    const visit = el => {
+      const hasText = Array.from(el.childNodes).some(node =>
+        node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+      if (!hasText) return;
+
+      const style = getComputedStyle(el);
+      const weight = parseInt(style.fontWeight, 10) || 400;
+      const fontStyle = style.fontStyle === 'normal' ? 'normal' : 'italic';
+      const combo = `${style.fontFamily}|${weight}|${fontStyle}`;
+      if (seenCombos.has(combo)) return;
+      seenCombos.add(combo);
+
+      const stack = style.fontFamily.split(',').map(normalizeFamily).filter(Boolean);
+      let rendered = null;
+      const skipped = [];
+
+      for (const family of stack) {
+        const key = family.toLowerCase();
+        const webFont = faces.get(key);
+        if (!webFont) {
+          // Generic or locally installed family; we can't tell if a local one exists
+          rendered = family;
+          break;
+        }
+        const matching = webFont.faces.filter(face => coversStyle(face, fontStyle) || webFont.faces.every(f => f.style === 'normal'));
+        if (matching.some(face => face.status === 'loaded')) {
+          rendered = family;
+          break;
+        }
+        skipped.push(family);
+      }
 
-  function getTypography() {
-    // Create a more comprehensive typography report
-    const headings = {};
-    const paragraphs = [];
-    const fontFamiliesUsed = new Set();
-
-    // Process all headings
-    for (let i = 1; i <= 6; i++) {
-      const elements = document.querySelectorAll(`h${i}`);
-      if (elements.length > 0) {
-        // Use the first one as representative
-        const style = getComputedStyle(elements[0]);
-        headings[`h${i}`] = {
-          fontFamily: style.fontFamily,
-          fontSize: style.fontSize,
-          lineHeight: style.lineHeight,
-          fontWeight: style.fontWeight,
-          letterSpacing: style.letterSpacing,
-          count: elements.length // How many of this heading type exist
-        };
-        fontFamiliesUsed.add(style.fontFamily.split(',')[0].trim().replace(/["']/g, ''));
+      if (rendered) {
+        const key = rendered.toLowerCase();
+        if (!used.has(key)) used.set(key, new Set());
+        used.get(key).add(`${weight} ${fontStyle}`);
       }
-    }
 
-    // Get paragraph styles (sampling)
-    const pElements = document.querySelectorAll('p');
-    if (pElements.length > 0) {
-      // Sample up to 5 different paragraphs
-      const sampled = Array.from(pElements).slice(0, Math.min(5, pElements.length));
-      sampled.forEach(el => {
-        const style = getComputedStyle(el);
-        paragraphs.push({
-          fontFamily: style.fontFamily,
-          fontSize: style.fontSize,
-          lineHeight: style.lineHeight,
-          fontWeight: style.fontWeight,
-          letterSpacing: style.letterSpacing
+      if (skipped.length > 0 && !fallbacks.has(style.fontFamily)) {
+        fallbacks.set(style.fontFamily, {
+          stack: style.fontFamily,
+          requested: skipped[0],
+          rendered: rendered || 'browser default',
+          generic: !rendered || GENERIC_FAMILIES.includes(rendered.toLowerCase())
         });
-        fontFamiliesUsed.add(style.fontFamily.split(',')[0].trim().replace(/["']/g, ''));
+      }
+    };
+    const sampling = document.body ? await walkSampledElements(settings, visit, onProgress) : null;
+
+    const files = [];
+    const families = Array.from(faces.entries()).map(([key, { family, faces: familyFaces }]) => {
+      const sources = sourcesByFamily.get(key) || [];
+      sources.forEach(source => {
+        files.push({ ...source, family, provider: getProvider(source.url), bytes: bytesByUrl.get(source.url) || 0 });
       });
-    }
 
-    // Get body text style
-    const bodyStyle = getComputedStyle(document.body);
-    const bodyInfo = {
-      fontFamily: bodyStyle.fontFamily,
-      fontSize: bodyStyle.fontSize,
-      lineHeight: bodyStyle.lineHeight,
-      fontWeight: bodyStyle.fontWeight,
-      letterSpacing: bodyStyle.letterSpacing
-    };
-    fontFamiliesUsed.add(bodyStyle.fontFamily.split(',')[0].trim().replace(/["']/g, ''));
-
-    // Calculate type scale ratio if we have h1 and body
-    let typeScale = null;
-    if (headings.h1) {
-      const h1FontSize = parseFloat(headings.h1.fontSize);
-      const bodyFontSize = parseFloat(bodyStyle.fontSize);
-      if (!isNaN(h1FontSize) && !isNaN(bodyFontSize) && bodyFontSize > 0) {
-        // Calculate ratio with 2 decimal precision
-        typeScale = Math.round((h1FontSize / bodyFontSize) * 100) / 100;
-
-        // Map common type scales to their standard names
-        const commonScales = {
-          1.067: 'Minor Second (1.067)',
-          1.125: 'Major Second (1.125)',
-          1.2: 'Minor Third (1.2)',
-          1.25: 'Major Third (1.25)',
-          1.333: 'Perfect Fourth (1.333)',
-          1.414: 'Augmented Fourth (1.414)',
-          1.5: 'Perfect Fifth (1.5)',
-          1.618: 'Golden Ratio (1.618)'
-        };
-
-        // Find the closest common scale
-        const scaleValues = Object.keys(commonScales).map(Number);
-        const closestScale = scaleValues.reduce((prev, curr) =>
-          Math.abs(curr - typeScale) < Math.abs(prev - typeScale) ? curr : prev
-        );
-
-        // If we're within 0.05 of a common scale, use that name
-        if (Math.abs(closestScale - typeScale) <= 0.05) {
-          typeScale = commonScales[closestScale];
-        } else {
-          typeScale = typeScale.toString();
+      const loadedFaces = familyFaces.filter(face => face.status === 'loaded');
+      const usedFaces = Array.from(used.get(key) || []);
+
+      // Weights the page asks for that no loaded face covers get synthesized by the browser
+      const synthesized = usedFaces.filter(combo => {
+        const [weight, fontStyle] = combo.split(' ');
+        return !loadedFaces.some(face => coversWeight(face, Number(weight)) && coversStyle(face, fontStyle));
+      });
+
+      return {
+        family,
+        provider: sources.length > 0 ? getProvider(sources[0].url) : null,
+        status: loadedFaces.length > 0 ? 'loaded'
+          : familyFaces.some(face => face.status === 'error') ? 'error' : 'unloaded',
+        rendered: usedFaces.length > 0,
+        display: Array.from(new Set(familyFaces.map(face => face.display))),
+        loaded: loadedFaces.map(face => `${face.weight} ${face.style}`),
+        used: usedFaces,
+        synthesized,
+        formats: Array.from(new Set(sources.map(source => source.format)))
+      };
+    });
+
+    // Fetched font files not tied to a readable @font-face rule (e.g. Google Fonts CSS)
+    fontEntries.forEach(entry => {
+      if (!files.some(file => file.url === entry.name)) {
+        files.push({
+          url: entry.name,
+          format: getFormat(entry.name),
+          family: null,
+          provider: getProvider(entry.name),
+          bytes: bytesByUrl.get(entry.name) || 0
+        });
+      }
+    });
+
+    // Families loaded from a provider's stylesheet get their provider from the stylesheet link
+    const providerStylesheets = Array.from(document.querySelectorAll('link[rel~="stylesheet"][href]'))
+      .map(link => getProvider(link.href))
+      .filter(provider => ['Google Fonts', 'Adobe Fonts', 'Bunny Fonts', 'Fonts.com', 'Hoefler&Co.'].includes(provider));
+    families.forEach(entry => {
+      if (!entry.provider && providerStylesheets.length === 1) entry.provider = providerStylesheets[0];
+    });
+
+    const preloads = Array.from(document.querySelectorAll('link[rel~="preload"][as="font"]')).map(link => ({
+      url: link.href,
+      crossorigin: link.hasAttribute('crossorigin'),
+      fetched: bytesByUrl.has(link.href)
+    }));
+
+    return {
+      families,
+      fallbacks: Array.from(fallbacks.values()),
+      providers: Array.from(new Set(files.map(file => file.provider).concat(providerStylesheets))),
+      files,
+      totalBytes: files.reduce((sum, file) => sum + (file.bytes || 0), 0),
+      preloads,
+      inaccessibleStylesheets,
+      sampling
+    };
+  }
+
+  function getCustomProperties() {
+    // Custom properties (existing design tokens) declared by the page, resolved and classified
+    const MAX_VARIABLES = 400;
+    const declarations = new Map(); // name -> [{ scope, value }]
+    const used = new Set();
+    let inaccessibleStylesheets = 0;
+
+    const VAR_REFERENCE = /var\(\s*(--[\w-]+)/g;
+    const addReferences = value => {
+      let match;
+      VAR_REFERENCE.lastIndex = 0;
+      while ((match = VAR_REFERENCE.exec(value))) used.add(match[1]);
+    };
+
+    const addDeclaration = (name, scope, value) => {
+      const list = declarations.get(name) || [];
+      if (!list.some(entry => entry.scope === scope && entry.value === value)) {
+        list.push({ scope, value });
+      }
+      declarations.set(name, list);
+    };
+
+    // Declarations and var() references from every readable rule
+    const collectRules = rules => {
+      Array.from(rules).forEach(rule => {
+        if (rule.style) {
+          for (let i = 0; i < rule.style.length; i++) {
+            const property = rule.style[i];
+            const value = rule.style.getPropertyValue(property).trim();
+            if (property.startsWith('--')) {
+              addDeclaration(property, rule.selectorText || `@${rule.constructor.name}`, value);
+            }
+            if (value.includes('var(')) addReferences(value);
+          }
+        }
+        if (rule.cssRules) {
+          // @media, @supports, @layer and friends
+          collectRules(rule.cssRules);
         }
+      });
+    };
+    Array.from(document.styleSheets).forEach(sheet => {
+      try {
+        collectRules(sheet.cssRules);
+      } catch (e) {
+        inaccessibleStylesheets++;
       }
+    });
+
+    document.querySelectorAll('[style*="--"]').forEach(el => {
+      addReferences(el.getAttribute('style'));
+      for (let i = 0; i < el.style.length; i++) {
+        const property = el.style[i];
+        if (property.startsWith('--')) {
+          addDeclaration(property, 'inline', el.style.getPropertyValue(property).trim());
+        }
+      }
+    });
+
+    // Computed styles also expose properties from stylesheets we couldn't read
+    const scopes = [[':root', document.documentElement]];
+    document.querySelectorAll('[data-theme]').forEach(el => {
+      scopes.push([`[data-theme="${el.getAttribute('data-theme')}"]`, el]);
+    });
+    const rootStyle = getComputedStyle(document.documentElement);
+    scopes.forEach(([scope, el]) => {
+      const style = getComputedStyle(el);
+      for (let i = 0; i < style.length; i++) {
+        const property = style[i];
+        if (property.startsWith('--') && !declarations.has(property)) {
+          addDeclaration(property, scope, style.getPropertyValue(property).trim());
+        }
+      }
+    });
+
+    // Substitute var() references with their :root values; unregistered properties
+    // only resolve on elements that inherit them, so scoped values are resolved here
+    const resolve = (value, depth = 0) => {
+      if (depth > 5 || !value.includes('var(')) return value;
+      return resolve(value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^()]*(?:\([^()]*\))?[^()]*))?\)/g,
+        (match, name, fallback) => rootStyle.getPropertyValue(name).trim() || (fallback || '').trim() || match), depth + 1);
+    };
+
+    // A hidden probe element lets the browser parse colors in any syntax into rgb()
+    const probe = document.createElement('div');
+    probe.style.display = 'none';
+    document.documentElement.appendChild(probe);
+    const isColor = value => value && CSS.supports('color', value) &&
+      !/^(inherit|initial|unset|revert|currentcolor)$/i.test(value);
+    const toHex = value => {
+      probe.style.color = '';
+      probe.style.color = value;
+      return toHexWithAlpha(getComputedStyle(probe).color);
+    };
+
+    const LENGTH = /^-?[\d.]+(px|r?em|%|vh|vw|vmin|vmax|ch|ex|pt)$|^0$|^(calc|clamp|min|max)\(/;
+    const GENERIC_FONT = /(^|,)\s*(serif|sans-serif|monospace|cursive|fantasy|system-ui|ui-\w+|-apple-system)\s*$/i;
+    const classify = (name, value) => {
+      // Wide-gamut colors may not convert to hex; they still count as colors
+      if (isColor(value)) return { type: 'color', color: toHex(value) };
+      // Two lengths could just as well be padding shorthand; a shadow also has a color, blur or inset
+      const lengths = (value.match(/(^|[\s(,])-?[\d.]+(px|r?em)?(?=[\s,)]|$)/g) || []).length;
+      const hasShadowParts = /rgba?\(|hsla?\(|#[\da-f]{3}|\binset\b/i.test(value) || lengths >= 3;
+      if (lengths >= 2 && hasShadowParts && CSS.supports('box-shadow', value)) {
+        return { type: 'shadow' };
+      }
+      if (LENGTH.test(value) && CSS.supports('width', value)) return { type: 'length' };
+      if (GENERIC_FONT.test(value) || (/font|family|typeface/i.test(name) && CSS.supports('font-family', value))) {
+        return { type: 'font' };
+      }
+      return { type: 'other' };
+    };
+
+    const variables = [];
+    try {
+      declarations.forEach((list, name) => {
+        // The :root-level value wins; otherwise the first declaration seen
+        const rootValue = rootStyle.getPropertyValue(name).trim();
+        const value = rootValue || resolve(list[0].value);
+        variables.push({
+          name,
+          value,
+          ...classify(name, value),
+          used: used.has(name),
+          scopes: list.map(entry => ({ scope: entry.scope, value: resolve(entry.value) }))
+        });
+      });
+    } finally {
+      probe.remove();
     }
 
+    const TYPE_ORDER = ['color', 'length', 'font', 'shadow', 'other'];
+    variables.sort((a, b) =>
+      TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type) || a.name.localeCompare(b.name));
+
     return {
-      body: bodyInfo,
-      headings,
-      paragraphs,
-      fontFamilies: Array.from(fontFamiliesUsed),
-      typeScale
+      total: variables.length,
+      usedCount: variables.filter(variable => variable.used).length,
+      // Usage is only certain when every stylesheet could be read
+      usageComplete: inaccessibleStylesheets === 0,
+      inaccessibleStylesheets,
+      variables: variables.slice(0, MAX_VARIABLES)
     };
   }
 
-  function getColors() {
-    // Enhanced color extraction with role detection and improved deduplication
-    const colorMap = new Map(); // color string -> frequency count
-    const buttonColors = new Set(); // Colors used in buttons
-    const linkColors = new Set(); // Colors used in links
-    const backgroundColors = new Map(); // background colors -> surface area
-    const textColors = new Map(); // text colors -> character count
+  async function getLayout(results, { settings, onProgress } = {}) {
+    // Spacing, radius, shadow and z-index scales across visible elements
+    const spacing = new Map(); // px -> count
+    const radii = new Map(); // px -> count
+    const percentRadii = new Map(); // % -> count, for circles and pills sized to the element
+    const shadows = new Map(); // box-shadow value -> count
+    const zIndices = new Map(); // z-index -> count
+    let elementsAnalyzed = 0;
 
-    // Process all elements for color extraction
-    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_ELEMENT);
+    const increment = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+    // Computed lengths are px; half-pixel rounding keeps subpixel noise from fragmenting the scale
+    const addLength = (map, value) => {
+      const px = Math.round(parseFloat(value) * 2) / 2;
+      if (px > 0) increment(map, px);
+    };
 
-    while (walker.nextNode()) {
-      const el = walker.currentNode;
+    const visit = el => {
       const style = getComputedStyle(el);
-      const bgColor = style.backgroundColor;
-      const textColor = style.color;
+      if (style.display === 'none' || style.visibility === 'hidden') return;
 
-      // Skip transparent backgrounds
-      if (bgColor && bgColor !== 'rgba(0, 0, 0, 0)' && bgColor !== 'transparent') {
-        // Track background colors by estimated surface area
-        const area = el.clientWidth * el.clientHeight;
-        backgroundColors.set(bgColor, (backgroundColors.get(bgColor) || 0) + area);
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 && rect.height === 0) return;
+      elementsAnalyzed++;
 
-        // Count overall colors
-        colorMap.set(bgColor, (colorMap.get(bgColor) || 0) + 1);
+      ['Top', 'Right', 'Bottom', 'Left'].forEach(side => {
+        addLength(spacing, style[`margin${side}`]);
+        addLength(spacing, style[`padding${side}`]);
+      });
+
+      // Gaps only mean something on flex and grid containers
+      if (/flex|grid/.test(style.display)) {
+        if (style.rowGap !== 'normal') addLength(spacing, style.rowGap);
+        if (style.columnGap !== 'normal' && style.columnGap !== style.rowGap) addLength(spacing, style.columnGap);
       }
 
-      if (textColor) {
-        // Track text colors by character count (approximate)
-        const textLength = el.textContent ? el.textContent.length : 0;
-        textColors.set(textColor, (textColors.get(textColor) || 0) + textLength);
+      // Uniform corners count once; mixed corners count each distinct value
+      const corners = new Set(['TopLeft', 'TopRight', 'BottomRight', 'BottomLeft']
+        .map(corner => style[`border${corner}Radius`].split(' ')[0]));
+      corners.forEach(value => {
+        if (value.endsWith('%')) {
+          const percent = parseFloat(value);
+          if (percent > 0) increment(percentRadii, percent);
+        } else {
+          addLength(radii, value);
+        }
+      });
 
-        // Count overall colors
-        colorMap.set(textColor, (colorMap.get(textColor) || 0) + 1);
+      if (style.boxShadow && style.boxShadow !== 'none') {
+        increment(shadows, style.boxShadow);
       }
 
-      // Special elements: buttons, CTAs, links
-      if (el.tagName === 'BUTTON' ||
-        el.tagName === 'A' ||
-        style.cursor === 'pointer' ||
-        el.classList.contains('btn') ||
-        el.classList.contains('button')) {
+      if (style.zIndex !== 'auto' && style.position !== 'static') {
+        increment(zIndices, parseInt(style.zIndex, 10));
+      }
+    };
+    const sampling = await walkSampledElements(settings, visit, onProgress);
 
-        if (bgColor && bgColor !== 'rgba(0, 0, 0, 0)' && bgColor !== 'transparent') {
-          buttonColors.add(bgColor);
-        }
+    // Share of spacing occurrences that sit on a grid of `unit` px
+    const totalSpacing = [...spacing.values()].reduce((sum, count) => sum + count, 0);
+    const coverage = unit => {
+      if (totalSpacing === 0) return 0;
+      const onGrid = [...spacing.entries()]
+        .filter(([px]) => Math.abs(px / unit - Math.round(px / unit)) * unit <= 0.5)
+        .reduce((sum, [, count]) => sum + count, 0);
+      return Math.round((onGrid / totalSpacing) * 100) / 100;
+    };
+
+    // Prefer the coarsest grid most values agree with
+    const candidates = { 4: coverage(4), 8: coverage(8) };
+    let baseUnit = null;
+    if (candidates[8] >= 0.8) {
+      baseUnit = 8;
+    } else if (candidates[4] >= 0.8) {
+      baseUnit = 4;
+    }
+
+    // Most frequent entries, then ordered by size so they read as a scale
+    const toScale = (map, limit) => [...map.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .sort((a, b) => a[0] - b[0])
+      .map(([px, count]) => ({ value: `${px}px`, px, count }));
+
+    return {
+      elementsAnalyzed,
+      baseUnit: {
+        unit: baseUnit,
+        coverage: baseUnit ? candidates[baseUnit] : Math.max(candidates[4], candidates[8]),
+        candidates
+      },
+      spacing: toScale(spacing, 16),
+      // Percentages aren't lengths, so they follow the px scale rather than joining it
+      radii: [
+        ...toScale(radii, 10),
+        ...[...percentRadii.entries()]
+          .sort((a, b) => a[0] - b[0])
+          .map(([percent, count]) => ({ value: `${percent}%`, percent, count }))
+      ],
+      shadows: [...shadows.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 8)
+        .map(([value, count]) => ({ value, count })),
+      zIndices: [...zIndices.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([value, count]) => ({ value, count })),
+      sampling
+    };
+  }
+
+  // WCAG 2.x contrast of each text-bearing element against its effective background
+  async function auditContrast(results, { settings, onProgress } = {}) {
+    const audit = createContrastAudit();
+    const sampling = await walkSampledElements(settings, audit.visit, onProgress);
+    return { ...audit.build(), sampling };
+  }
+
+  // Same audit in one synchronous pass, for a forced theme variant that mustn't be painted
+  function auditContrastSync(settings) {
+    const audit = createContrastAudit();
+    sampleElements(getNodeBudget(settings)).elements.forEach(audit.visit);
+    return audit.build();
+  }
+
+  function createContrastAudit() {
+    const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+    const backgroundCache = new Map(); // element -> opaque background, or null if unknown
+    const pairs = new Map(); // "text|background|large" -> aggregated pair
+    const summary = {
+      total: 0,
+      skipped: 0,
+      aa: { pass: 0, fail: 0 },
+      aaa: { pass: 0, fail: 0 }
+    };
 
-        // Special case for links
-        if (el.tagName === 'A' && textColor) {
-          linkColors.add(textColor);
+    // Walk up through transparent backgrounds, compositing translucent layers on the way
+    function getEffectiveBackground(el) {
+      if (!el) return WHITE;
+      if (backgroundCache.has(el)) return backgroundCache.get(el);
+
+      const style = getComputedStyle(el);
+      let result;
+      if (style.backgroundImage && style.backgroundImage !== 'none') {
+        // Gradients and images make the backdrop unknowable from computed styles
+        result = null;
+      } else {
+        const bg = parseColor(style.backgroundColor);
+        if (!bg) {
+          result = null;
+        } else if (bg.a >= 1) {
+          result = bg;
+        } else {
+          // Slotted content sits on its slot's backdrop, a shadow root's top on its host's
+          const below = getEffectiveBackground(getComposedParent(el));
+          result = below && (bg.a === 0 ? below : blendColors(bg, below));
         }
       }
+
+      backgroundCache.set(el, result);
+      return result;
     }
 
-    // Determine main colors based on frequency and role
-    const sortedByArea = [...backgroundColors.entries()].sort((a, b) => b[1] - a[1]);
-    const sortedByTextUsage = [...textColors.entries()].sort((a, b) => b[1] - a[1]);
+    function hasOwnText(el) {
+      return Array.from(el.childNodes).some(node =>
+        node.nodeType === Node.TEXT_NODE && node.textContent.trim().length > 0);
+    }
 
-    // Convert to HEX for display purposes and normalization
-    function rgbaToHex(rgba) {
-      if (!rgba || rgba === 'transparent' || rgba === 'rgba(0, 0, 0, 0)') return null;
+    function visit(el) {
+      if (!hasOwnText(el) || ['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(el.tagName)) return;
 
-      // Handle both rgb/rgba formats
-      const rgbaMatch = rgba.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([0-9.]+))?\)/);
-      if (!rgbaMatch) return rgba; // Return original if format not recognized
+      const style = getComputedStyle(el);
+      if (style.display === 'none' || style.visibility === 'hidden' || parseFloat(style.opacity) === 0) return;
+      if (el.getClientRects().length === 0) return;
 
-      const r = parseInt(rgbaMatch[1], 10);
-      const g = parseInt(rgbaMatch[2], 10);
-      const b = parseInt(rgbaMatch[3], 10);
+      const background = getEffectiveBackground(el);
+      const textColor = parseColor(style.color);
+      if (!background || !textColor) {
+        summary.skipped++;
+        return;
+      }
 
-      // Convert to lowercase hex for consistent deduplication
-      return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`.toLowerCase();
-    }
+      const foreground = textColor.a < 1 ? blendColors(textColor, background) : textColor;
+      const ratio = Math.round(contrastRatio(foreground, background) * 100) / 100;
 
-    // Enhanced deduplication with hex normalization and handling similar colors
-    const uniqueColors = new Map(); // hex -> {color, originalColor, count}
+      // Large text is at least 24px, or 18.66px (14pt) when bold
+      const fontSize = parseFloat(style.fontSize);
+      const large = fontSize >= 24 || (fontSize >= 18.66 && parseInt(style.fontWeight, 10) >= 700);
+      const passesAA = ratio >= (large ? 3 : 4.5);
+      const passesAAA = ratio >= (large ? 4.5 : 7);
 
-    // First convert all colors to normalized hex
-    Array.from(colorMap.entries()).forEach(([color, count]) => {
-      const hex = rgbaToHex(color);
-      if (!hex) return;
+      summary.total++;
+      summary.aa[passesAA ? 'pass' : 'fail']++;
+      summary.aaa[passesAAA ? 'pass' : 'fail']++;
 
-      if (!uniqueColors.has(hex)) {
-        uniqueColors.set(hex, {
-          color: hex,
-          originalColor: color,
-          count
+      const text = channelsToHex(foreground);
+      const bg = channelsToHex(background);
+      const key = `${text}|${bg}|${large}`;
+      if (!pairs.has(key)) {
+        pairs.set(key, {
+          color: text,
+          background: bg,
+          ratio,
+          large,
+          aa: passesAA,
+          aaa: passesAAA,
+          count: 0,
+          selector: getCssSelector(el),
+          component: getComponentName(el),
+          sample: el.textContent.trim().replace(/\s+/g, ' ').slice(0, 40)
         });
-      } else {
-        // If this instance has a higher count, update
-        const existing = uniqueColors.get(hex);
-        if (count > existing.count) {
-          existing.count = count;
-          existing.originalColor = color;
-        }
       }
+      pairs.get(key).count++;
+    }
+
+    const build = () => ({
+      ...summary,
+      // Lowest ratios first so the worst offenders lead the list
+      worst: [...pairs.values()]
+        .sort((a, b) => a.ratio - b.ratio)
+        .slice(0, 10)
     });
 
-    // Create palette with roles
-    const palette = {
-      background: sortedByArea.length > 0 ? {
-        color: rgbaToHex(sortedByArea[0][0]),
-        originalColor: sortedByArea[0][0]
-      } : null,
-      text: sortedByTextUsage.length > 0 ? {
-        color: rgbaToHex(sortedByTextUsage[0][0]),
-        originalColor: sortedByTextUsage[0][0]
-      } : null,
-      accent: buttonColors.size > 0 ? {
-        color: rgbaToHex(Array.from(buttonColors)[0]),
-        originalColor: Array.from(buttonColors)[0]
-      } : null,
-      link: linkColors.size > 0 ? {
-        color: rgbaToHex(Array.from(linkColors)[0]),
-        originalColor: Array.from(linkColors)[0]
-      } : null,
-      // All colors by frequency, but with duplicates removed
-      all: Array.from(uniqueColors.values())
-        .sort((a, b) => b.count - a.count)
-        .slice(0, 12) // Limit to top 12 colors for a good range
-    };
-
-    return palette;
+    return { visit, build };
   }
 
-  function detectTechnologies() {
-    const tech = {
-      frameworks: [],
-      libraries: [],
-      analytics: [],
-      hosting: null,
-      tools: []
-    };
+  function analyzeThemes(results) {
+    // Light and dark variants: find how the page switches themes, then evaluate the palette
+    // and contrast again with the variant that isn't showing forced on
+    const THEME_CLASS = /\.((?:theme-)?(?:dark|light)(?:-mode|-theme)?)(?![\w-])/g;
+    const THEME_ATTRIBUTE = /\[(data-[\w-]*(?:theme|mode|scheme))\s*[~|^$*]?=\s*["']?(dark|light)["']?\s*\]/g;
+    const COLOR_SCHEME_QUERY = /\(\s*prefers-color-scheme\s*:\s*(dark|light)\s*\)/gi;
 
-    // Safe detection function wrapper
-    function safeDetect(fn) {
+    const mediaLists = []; // MediaLists mentioning prefers-color-scheme, with their original text
+    const themeClasses = new Set();
+    const themeAttributes = new Map(); // attribute -> Set of "dark"/"light"
+
+    const collectRules = rules => {
+      Array.from(rules).forEach(rule => {
+        if (rule instanceof CSSMediaRule && /prefers-color-scheme/i.test(rule.media.mediaText)) {
+          mediaLists.push({ media: rule.media, original: rule.media.mediaText });
+        }
+        if (rule.selectorText) {
+          let match;
+          THEME_CLASS.lastIndex = 0;
+          while ((match = THEME_CLASS.exec(rule.selectorText))) themeClasses.add(match[1]);
+          THEME_ATTRIBUTE.lastIndex = 0;
+          while ((match = THEME_ATTRIBUTE.exec(rule.selectorText))) {
+            const values = themeAttributes.get(match[1]) || new Set();
+            values.add(match[2].toLowerCase());
+            themeAttributes.set(match[1], values);
+          }
+        }
+        if (rule.cssRules) collectRules(rule.cssRules);
+      });
+    };
+    Array.from(document.styleSheets).forEach(sheet => {
+      // <link media="(prefers-color-scheme: dark)"> stylesheets
+      if (sheet.media && /prefers-color-scheme/i.test(sheet.media.mediaText)) {
+        mediaLists.push({ media: sheet.media, original: sheet.media.mediaText });
+      }
       try {
-        return fn() || false;
+        collectRules(sheet.cssRules);
       } catch (e) {
-        console.error('Error in technology detection:', e);
-        return false;
+        // Cross-origin stylesheet; its theme rules can't be seen or toggled
       }
-    }
+    });
 
-    // Framework detection
-    if (safeDetect(() => window.React || document.querySelector('[data-reactroot], [data-reactid]'))) {
-      tech.frameworks.push('React');
+    const mechanisms = [];
+    if (mediaLists.length) mechanisms.push('prefers-color-scheme');
+    if (themeClasses.size) mechanisms.push(...[...themeClasses].map(name => `.${name}`));
+    themeAttributes.forEach((values, attribute) => mechanisms.push(`[${attribute}]`));
 
-      // Check for Next.js
-      if (safeDetect(() => document.querySelector('#__next') || window.__NEXT_DATA__)) {
-        tech.frameworks.push('Next.js');
+    // Theme classes usually sit on <html>, sometimes on <body>
+    const hasThemeClass = el => el && [...themeClasses].some(name => el.classList.contains(name));
+    const classHost = hasThemeClass(document.body) ? document.body : document.documentElement;
+    const attributeHost = attribute => document.querySelector(`[${attribute}]`) || document.documentElement;
+
+    // Explicit signals first, then how dark the page's main background is
+    const detectCurrent = () => {
+      for (const [attribute] of themeAttributes) {
+        const value = (attributeHost(attribute).getAttribute(attribute) || '').toLowerCase();
+        if (value === 'dark' || value === 'light') return value;
       }
-    }
+      const activeClass = [...themeClasses].find(name => classHost.classList.contains(name));
+      if (activeClass) return activeClass.includes('dark') ? 'dark' : 'light';
+      if (mediaLists.length) {
+        return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+      }
+      const background = results.colors && results.colors.background && parseColor(results.colors.background.originalColor);
+      return background && relativeLuminance(background) < 0.2 ? 'dark' : 'light';
+    };
+    const current = detectCurrent();
+
+    const summarize = (colors, contrast) => ({
+      colors,
+      contrast: contrast && !contrast.error
+        ? { total: contrast.total, aa: contrast.aa, aaa: contrast.aaa, worst: (contrast.worst || []).slice(0, 3) }
+        : null
+    });
+    const variants = { [current]: summarize(results.colors, results.accessibility) };
 
-    if (safeDetect(() => window.angular || document.querySelector('[ng-version], [ng-app]'))) {
-      tech.frameworks.push('Angular');
+    if (mechanisms.length === 0) {
+      return { supported: false, mechanisms, current, variants };
     }
 
-    if (safeDetect(() => window.Vue || document.querySelector('[data-v-]'))) {
-      tech.frameworks.push('Vue.js');
+    const target = current === 'dark' ? 'light' : 'dark';
+    const root = document.documentElement;
+    const restore = [];
 
-      // Check for Nuxt
-      if (safeDetect(() => window.__NUXT__ || document.querySelector('#__nuxt, #__layout'))) {
-        tech.frameworks.push('Nuxt.js');
+    // Color transitions would report the starting color, so they're suspended while we look
+    const noTransitions = document.createElement('style');
+    noTransitions.textContent = '*, *::before, *::after { transition: none !important; }';
+    (document.head || document.documentElement).appendChild(noTransitions);
+
+    try {
+      mediaLists.forEach(({ media, original }) => {
+        media.mediaText = original.replace(COLOR_SCHEME_QUERY, (match, scheme) =>
+          (scheme.toLowerCase() === target ? '(min-width: 0px)' : '(max-width: 0px)'));
+        restore.push(() => {
+          media.mediaText = original;
+        });
+      });
+
+      if (themeClasses.size) {
+        const originalClass = classHost.getAttribute('class');
+        themeClasses.forEach(name => classHost.classList.toggle(name, name.includes(target)));
+        restore.push(() => {
+          if (originalClass === null) {
+            classHost.removeAttribute('class');
+          } else {
+            classHost.setAttribute('class', originalClass);
+          }
+        });
       }
-    }
 
-    if (safeDetect(() => window.Svelte || document.querySelector('[data-svelte]'))) {
-      tech.frameworks.push('Svelte');
+      themeAttributes.forEach((values, attribute) => {
+        if (!values.has(target)) return;
+        const host = attributeHost(attribute);
+        const original = host.getAttribute(attribute);
+        host.setAttribute(attribute, target);
+        restore.push(() => {
+          if (original === null) {
+            host.removeAttribute(attribute);
+          } else {
+            host.setAttribute(attribute, original);
+          }
+        });
+      });
+
+      // UA defaults (canvas, form controls, light-dark()) follow color-scheme
+      const originalScheme = root.style.colorScheme;
+      root.style.colorScheme = target;
+      restore.push(() => {
+        root.style.colorScheme = originalScheme;
+      });
+
+      // Everything here is synchronous, so the forced theme is never painted
+      const settings = (window.__SITE_INFO_CONTEXT__ || {}).settings;
+      let contrast;
+      try {
+        contrast = auditContrastSync(settings);
+      } catch (e) {
+        contrast = { error: e.message };
+      }
+      variants[target] = summarize(getColorsSync({ variables: getCustomProperties() }, { settings }), contrast);
+    } finally {
+      restore.reverse().forEach(undo => undo());
+      // Settle styles while transitions are still off, so restoring doesn't animate
+      void document.body.offsetHeight;
+      noTransitions.remove();
     }
 
-    // Vite detection - search for common Vite fingerprints
-    if (safeDetect(() => {
-      // Check for Vite asset naming pattern in scripts or links
-      const scripts = document.querySelectorAll('script[src]');
-      const links = document.querySelectorAll('link[href]');
-
-      // Look for Vite's asset patterns like ?v=abc123 or .vite/assets in any script or css
-      const hasVitePattern = (el) => {
-        const src = el.getAttribute('src') || el.getAttribute('href') || '';
-        return src.includes('.vite/') ||
-          src.includes('?v=') && src.includes('.js') ||
-          src.includes('__vite_');
+    // Mechanisms can exist in CSS without the toggle doing anything on this page
+    const palette = variant => JSON.stringify(((variants[variant].colors || {}).all || []).map(item => item.color));
+    return {
+      supported: true,
+      changed: palette(current) !== palette(target),
+      mechanisms,
+      current,
+      variants
+    };
+  }
+
+  function inspectMetadata() {
+    // Search and social metadata, structured data, heading outline and image alt coverage
+    const context = window.__SITE_INFO_CONTEXT__ || {};
+    const headers = (context.responseHeaders && context.responseHeaders.headers) || {};
+
+    const metaContent = selector => {
+      const el = document.querySelector(selector);
+      return el ? (el.getAttribute('content') || '').trim() : null;
+    };
+
+    // Open Graph uses property=, Twitter name=, but pages mix them up
+    const collectPrefixed = prefix => {
+      const tags = {};
+      document.querySelectorAll(`meta[property^="${prefix}"], meta[name^="${prefix}"]`).forEach(el => {
+        const key = el.getAttribute('property') || el.getAttribute('name');
+        if (!(key in tags)) tags[key] = (el.getAttribute('content') || '').trim();
+      });
+      return tags;
+    };
+
+    const canonicalEl = document.querySelector('link[rel="canonical"]');
+    const canonical = canonicalEl ? canonicalEl.href : null;
+    const robots = metaContent('meta[name="robots"]');
+    const xRobotsTag = headers['x-robots-tag'] || null;
+
+    const search = {
+      title: document.title,
+      description: metaContent('meta[name="description"]'),
+      canonical,
+      // A canonical pointing elsewhere tells search engines to index that URL instead
+      canonicalIsSelf: canonical ? canonical.split('#')[0] === window.location.href.split('#')[0] : null,
+      robots,
+      xRobotsTag,
+      noindex: /noindex|none/i.test(`${robots || ''} ${xRobotsTag || ''}`),
+      lang: document.documentElement.getAttribute('lang'),
+      viewport: metaContent('meta[name="viewport"]'),
+      hreflang: Array.from(document.querySelectorAll('link[rel="alternate"][hreflang]')).map(el => ({
+        lang: el.getAttribute('hreflang'),
+        href: el.href
+      }))
+    };
+
+    const openGraph = collectPrefixed('og:');
+    const twitter = collectPrefixed('twitter:');
+    const social = {
+      openGraph,
+      twitter,
+      missing: ['og:title', 'og:type', 'og:image', 'og:url', 'twitter:card']
+        .filter(key => !(key.startsWith('og:') ? openGraph[key] : twitter[key])),
+      // What a share card would show, with the fallbacks platforms use
+      preview: {
+        title: openGraph['og:title'] || twitter['twitter:title'] || document.title,
+        description: openGraph['og:description'] || twitter['twitter:description'] || search.description,
+        image: openGraph['og:image'] || twitter['twitter:image'] || null,
+        site: openGraph['og:site_name'] || window.location.hostname,
+        card: twitter['twitter:card'] || (openGraph['og:image'] ? 'summary_large_image' : 'summary')
+      }
+    };
+
+    // Required and recommended properties for the schema.org types search engines use most
+    const SCHEMA_PROPERTIES = {
+      Article: ['headline', 'image', 'datePublished', 'author'],
+      NewsArticle: ['headline', 'image', 'datePublished', 'author'],
+      BlogPosting: ['headline', 'image', 'datePublished', 'author'],
+      Product: ['name', 'image', 'offers'],
+      Offer: ['price', 'priceCurrency'],
+      Organization: ['name', 'url', 'logo'],
+      LocalBusiness: ['name', 'address'],
+      Person: ['name'],
+      WebSite: ['name', 'url'],
+      WebPage: ['name'],
+      BreadcrumbList: ['itemListElement'],
+      Event: ['name', 'startDate', 'location'],
+      FAQPage: ['mainEntity'],
+      Recipe: ['name', 'image', 'recipeIngredient'],
+      VideoObject: ['name', 'thumbnailUrl', 'uploadDate'],
+      Review: ['author', 'reviewRating'],
+      AggregateRating: ['ratingValue', 'reviewCount']
+    };
+    const validate = (format, types, properties) => {
+      const known = types.find(type => SCHEMA_PROPERTIES[type]);
+      return {
+        format,
+        type: types.join(', ') || 'Unknown',
+        properties,
+        missing: known ? SCHEMA_PROPERTIES[known].filter(name => !properties.includes(name)) : [],
+        validated: Boolean(known)
       };
+    };
+    const typesOf = value => (Array.isArray(value) ? value : [value])
+      .filter(Boolean)
+      .map(type => String(type).replace(/^https?:\/\/schema\.org\//, ''));
 
-      return Array.from(scripts).some(hasVitePattern) ||
-        Array.from(links).some(hasVitePattern) ||
-        window.__vite__;
-    })) {
-      tech.tools.push('Vite');
-    }
+    const structuredData = { items: [], errors: [] };
+    document.querySelectorAll('script[type="application/ld+json"]').forEach((el, index) => {
+      let json;
+      try {
+        json = JSON.parse(el.textContent);
+      } catch (e) {
+        structuredData.errors.push(`JSON-LD block ${index + 1}: ${e.message}`);
+        return;
+      }
+      // Top-level arrays and @graph both hold several entities
+      const entities = (Array.isArray(json) ? json : [json])
+        .flatMap(entity => (entity && Array.isArray(entity['@graph']) ? entity['@graph'] : [entity]))
+        .filter(entity => entity && typeof entity === 'object');
+      entities.forEach(entity => {
+        const properties = Object.keys(entity).filter(key => !key.startsWith('@'));
+        structuredData.items.push(validate('JSON-LD', typesOf(entity['@type']), properties));
+      });
+    });
 
-    // Animation libraries with improved detection
-    if (safeDetect(() => window.gsap || window.TweenMax || window.TweenLite || window.TimelineLite || window.TimelineMax)) {
-      tech.libraries.push('GSAP');
-    }
+    // Top-level microdata items; nested itemscopes are properties of their parent
+    document.querySelectorAll('[itemscope]:not([itemprop])').forEach(el => {
+      const types = typesOf((el.getAttribute('itemtype') || '').split(/\s+/));
+      const properties = new Set();
+      el.querySelectorAll('[itemprop]').forEach(prop => {
+        const owner = prop.parentElement.closest('[itemscope]');
+        if (owner === el) {
+          prop.getAttribute('itemprop').split(/\s+/).forEach(name => properties.add(name));
+        }
+      });
+      structuredData.items.push(validate('Microdata', types, [...properties]));
+    });
 
-    if (safeDetect(() => window.anime)) {
-      tech.libraries.push('Anime.js');
-    }
+    // Heading outline in document order
+    const MAX_OUTLINE = 100;
+    const outline = [];
+    const headingIssues = [];
+    let previousLevel = 0;
+    const headingElements = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'));
+    headingElements.forEach(el => {
+      const level = Number(el.tagName[1]);
+      const text = el.textContent.trim().replace(/\s+/g, ' ');
+      const issues = [];
+      if (previousLevel && level > previousLevel + 1) issues.push(`skips h${previousLevel + 1}`);
+      if (!previousLevel && level !== 1) issues.push('first heading is not h1');
+      if (!text) issues.push('empty');
+      previousLevel = level;
 
-    // Improved Three.js detection
-    if (safeDetect(() => {
-      return window.THREE ||
-        document.querySelector('canvas') && (
-          window.WebGLRenderer ||
-          window.Scene ||
-          window.PerspectiveCamera
-        );
-    })) {
-      tech.libraries.push('Three.js');
-    }
+      if (outline.length < MAX_OUTLINE) {
+        outline.push({ level, text: text.slice(0, 80), issues, selector: getCssSelector(el) });
+      }
+      issues.forEach(issue => headingIssues.push(`h${level}: ${issue}`));
+    });
+    const h1Count = headingElements.filter(el => el.tagName === 'H1').length;
+    if (h1Count === 0) headingIssues.unshift('No h1');
+    if (h1Count > 1) headingIssues.unshift(`${h1Count} h1 elements`);
 
-    if (safeDetect(() => window.framer || document.querySelector('[data-framer-component-type]'))) {
-      tech.libraries.push('Framer Motion');
-    }
+    // Alt text: alt="" marks decorative images, a missing attribute is the problem
+    const images = Array.from(document.querySelectorAll('img'));
+    const missingAlt = images.filter(img => !img.hasAttribute('alt'));
+    const decorative = images.filter(img => img.getAttribute('alt') === '');
 
-    // UI Libraries
-    if (safeDetect(() =>
-      window.tailwind ||
-      document.querySelector('[class*="tw-"]') ||
-      document.head.innerHTML.includes('tailwind') ||
-      // Check for typical Tailwind class combinations
-      Array.from(document.querySelectorAll('*[class]')).some(el => {
-        const classList = el.className;
-        return typeof classList === 'string' && (
-          (classList.includes('text-') && (
-            classList.includes('bg-') ||
-            classList.includes('p-') ||
-            classList.includes('m-') ||
-            classList.includes('rounded-')
-          ))
-        );
-      })
-    )) {
-      tech.libraries.push('Tailwind CSS');
-    }
+    return {
+      search,
+      social,
+      structuredData,
+      headings: {
+        total: headingElements.length,
+        h1Count,
+        issues: headingIssues,
+        outline
+      },
+      images: {
+        total: images.length,
+        withAlt: images.length - missingAlt.length - decorative.length,
+        decorative: decorative.length,
+        missing: missingAlt.length,
+        coverage: images.length ? Math.round(((images.length - missingAlt.length) / images.length) * 100) : null,
+        missingSamples: missingAlt.slice(0, 10).map(img => ({
+          src: img.currentSrc || img.src,
+          selector: getCssSelector(img)
+        }))
+      }
+    };
+  }
 
-    if (safeDetect(() => window.bootstrap || document.querySelector('.container-fluid, .row, .col, .modal'))) {
-      tech.libraries.push('Bootstrap');
-    }
+  function auditSecurity() {
+    // Grade the main document's security headers and flag risky markup
+    const context = window.__SITE_INFO_CONTEXT__ || {};
+    const captured = context.responseHeaders;
+    const headers = captured ? captured.headers : null;
+    const isHttps = window.location.protocol === 'https:';
 
-    if (safeDetect(() => document.querySelector('[class*="mui-"], .MuiButton-root'))) {
-      tech.libraries.push('Material UI');
+    const check = (name, status, value, note) => ({ name, status, value: value || null, note });
+
+    function checkHeaders() {
+      const csp = headers['content-security-policy'];
+      const directives = {};
+      (csp || '').split(';').forEach(part => {
+        const [directive, ...sources] = part.trim().split(/\s+/);
+        if (directive) directives[directive.toLowerCase()] = sources;
+      });
+      const scriptSources = directives['script-src'] || directives['default-src'] || [];
+      const hasNonceOrHash = scriptSources.some(src => /^'(nonce|sha\d+)-/.test(src));
+
+      let cspCheck;
+      if (!csp) {
+        cspCheck = headers['content-security-policy-report-only']
+          ? check('Content-Security-Policy', 'warn', headers['content-security-policy-report-only'], 'Only sent in report-only mode')
+          : check('Content-Security-Policy', 'fail', null, 'Missing; no protection against injected scripts');
+      } else if (scriptSources.includes("'unsafe-inline'") && !hasNonceOrHash) {
+        cspCheck = check('Content-Security-Policy', 'warn', csp, "Allows 'unsafe-inline' scripts");
+      } else if (scriptSources.includes("'unsafe-eval'")) {
+        cspCheck = check('Content-Security-Policy', 'warn', csp, "Allows 'unsafe-eval'");
+      } else {
+        cspCheck = check('Content-Security-Policy', 'pass', csp, 'Restricts script sources');
+      }
+
+      const hsts = headers['strict-transport-security'];
+      const maxAge = hsts ? parseInt((hsts.match(/max-age=(\d+)/i) || [])[1], 10) : 0;
+      let hstsCheck;
+      if (!isHttps) {
+        hstsCheck = check('Strict-Transport-Security', 'fail', hsts, 'Page is not served over HTTPS');
+      } else if (!hsts) {
+        hstsCheck = check('Strict-Transport-Security', 'fail', null, 'Missing; first visits can be downgraded to HTTP');
+      } else if (maxAge < 15552000) {
+        hstsCheck = check('Strict-Transport-Security', 'warn', hsts, 'max-age is shorter than 180 days');
+      } else {
+        hstsCheck = check('Strict-Transport-Security', 'pass', hsts,
+          /includesubdomains/i.test(hsts) ? 'Long max-age, includes subdomains' : 'Long max-age');
+      }
+
+      const xfo = headers['x-frame-options'];
+      let frameCheck;
+      if (xfo && /^(deny|sameorigin)$/i.test(xfo.trim())) {
+        frameCheck = check('X-Frame-Options', 'pass', xfo, 'Blocks framing by other sites');
+      } else if (directives['frame-ancestors']) {
+        frameCheck = check('X-Frame-Options', 'pass', xfo, 'Covered by CSP frame-ancestors');
+      } else {
+        frameCheck = check('X-Frame-Options', 'fail', xfo, xfo ? 'Unrecognized value' : 'Missing; page can be framed (clickjacking)');
+      }
+
+      const referrer = headers['referrer-policy'];
+      let referrerCheck;
+      if (!referrer) {
+        referrerCheck = check('Referrer-Policy', 'warn', null, 'Missing; browser default applies');
+      } else if (/unsafe-url|no-referrer-when-downgrade/i.test(referrer)) {
+        referrerCheck = check('Referrer-Policy', 'warn', referrer, 'Leaks full URLs to other origins');
+      } else {
+        referrerCheck = check('Referrer-Policy', 'pass', referrer, 'Limits referrer leakage');
+      }
+
+      const permissions = headers['permissions-policy'];
+      const permissionsCheck = permissions
+        ? check('Permissions-Policy', 'pass', permissions, 'Restricts powerful browser features')
+        : check('Permissions-Policy', 'warn', null, 'Missing; features like camera are governed by defaults');
+
+      const coop = headers['cross-origin-opener-policy'];
+      let coopCheck;
+      if (!coop) {
+        coopCheck = check('Cross-Origin-Opener-Policy', 'warn', null, 'Missing; cross-origin windows share a browsing context group');
+      } else if (/^same-origin/i.test(coop.trim())) {
+        coopCheck = check('Cross-Origin-Opener-Policy', 'pass', coop, 'Isolated from cross-origin openers');
+      } else {
+        coopCheck = check('Cross-Origin-Opener-Policy', 'warn', coop, 'Does not isolate the browsing context');
+      }
+
+      const coep = headers['cross-origin-embedder-policy'];
+      const coepCheck = coep && /require-corp|credentialless/i.test(coep)
+        ? check('Cross-Origin-Embedder-Policy', 'pass', coep, 'Cross-origin resources must opt in')
+        : check('Cross-Origin-Embedder-Policy', 'warn', coep, coep ? 'Does not require opt-in' : 'Missing; needed for cross-origin isolation');
+
+      const nosniff = headers['x-content-type-options'];
+      const nosniffCheck = nosniff && /nosniff/i.test(nosniff)
+        ? check('X-Content-Type-Options', 'pass', nosniff, 'MIME sniffing disabled')
+        : check('X-Content-Type-Options', 'fail', nosniff, 'Missing nosniff; responses may be MIME-sniffed');
+
+      return [cspCheck, hstsCheck, frameCheck, referrerCheck, permissionsCheck, coopCheck, coepCheck, nosniffCheck];
     }
 
-    // Analytics
-    if (safeDetect(() => window.ga || window.gtag || window.dataLayer ||
-      document.querySelector('script[src*="google-analytics"], script[src*="googletagmanager"]'))) {
-      tech.analytics.push('Google Analytics');
+    // Letter grade from pass = 1, warn = 0.5, fail = 0
+    function gradeChecks(checks) {
+      const score = checks.reduce((sum, c) => sum + (c.status === 'pass' ? 1 : c.status === 'warn' ? 0.5 : 0), 0);
+      const percent = Math.round((score / checks.length) * 100);
+      const grade = percent >= 90 ? 'A' : percent >= 75 ? 'B' : percent >= 60 ? 'C' : percent >= 45 ? 'D' : 'F';
+      return { grade, score: percent };
     }
 
-    if (safeDetect(() => window.fbq || document.querySelector('script[src*="facebook"]'))) {
-      tech.analytics.push('Facebook Pixel');
+    const isThirdParty = url => {
+      try {
+        return new URL(url, window.location.href).origin !== window.location.origin;
+      } catch (e) {
+        return false;
+      }
+    };
+
+    // Insecure subresources on an HTTPS page, from markup and from what was actually fetched
+    const mixedContent = new Map(); // url -> source
+    if (isHttps) {
+      document.querySelectorAll('img[src], script[src], iframe[src], video[src], audio[src], source[src], link[href][rel~="stylesheet"], form[action]')
+        .forEach(el => {
+          const url = el.getAttribute('src') || el.getAttribute('href') || el.getAttribute('action');
+          if (/^http:/i.test(url)) mixedContent.set(url, el.tagName.toLowerCase());
+        });
+      performance.getEntriesByType('resource').forEach(entry => {
+        if (/^http:/i.test(entry.name) && !mixedContent.has(entry.name)) {
+          mixedContent.set(entry.name, entry.initiatorType);
+        }
+      });
     }
 
-    // Check for common hosting platforms through meta tags or HTTP headers
-    const hostingClues = {
-      'Vercel': () => safeDetect(() => document.querySelector('meta[name="vercel-deployment-url"]') || window.next),
-      'Netlify': () => safeDetect(() => document.querySelector('meta[name="netlify"]') || document.querySelector('meta[name="generator"][content*="Netlify"]')),
-      'GitHub Pages': () => safeDetect(() => location.hostname.includes('github.io')),
-      'WordPress': () => safeDetect(() => document.querySelector('meta[name="generator"][content*="WordPress"]') || window.wp),
-      'Shopify': () => safeDetect(() => window.Shopify || document.querySelector('meta[name="shopify-checkout-api-token"]')),
-      'Wix': () => safeDetect(() => document.querySelector('meta[name="generator"][content*="Wix"]') || window.wixBiSession),
-      'Squarespace': () => safeDetect(() => document.querySelector('meta[name="generator"][content*="Squarespace"]'))
+    const scriptsWithoutSri = Array.from(document.querySelectorAll('script[src]'))
+      .filter(el => isThirdParty(el.src) && !el.hasAttribute('integrity'))
+      .map(el => el.src);
+
+    const unsafeBlankLinks = Array.from(document.querySelectorAll('a[target="_blank" i]'))
+      .filter(el => !/\bnoopener\b|\bnoreferrer\b/i.test(el.getAttribute('rel') || ''));
+
+    const headerChecks = headers ? checkHeaders() : [];
+
+    return {
+      headersSource: captured ? captured.source : null,
+      ...(headers ? gradeChecks(headerChecks) : { grade: null, score: null }),
+      headers: headerChecks,
+      mixedContent: Array.from(mixedContent.entries()).slice(0, 20).map(([url, source]) => ({ url, source })),
+      mixedContentCount: mixedContent.size,
+      scriptsWithoutSri: scriptsWithoutSri.slice(0, 20),
+      scriptsWithoutSriCount: scriptsWithoutSri.length,
+      unsafeBlankLinks: unsafeBlankLinks.slice(0, 10).map(el => ({
+        selector: getCssSelector(el),
+        href: el.href
+      })),
+      unsafeBlankLinksCount: unsafeBlankLinks.length
     };
+  }
 
-    for (const [platform, detector] of Object.entries(hostingClues)) {
-      if (detector()) {
-        tech.hosting = platform;
-        break;
+  async function analyzePerformance() {
+    // Core Web Vitals from buffered performance entries, plus DOM size and resource weight
+    const THRESHOLDS = {
+      lcp: [2500, 4000],
+      cls: [0.1, 0.25],
+      inp: [200, 500],
+      fcp: [1800, 3000],
+      ttfb: [800, 1800]
+    };
+    const FILE_TYPES = [
+      ['font', /\.(woff2?|ttf|otf|eot)(?:[?#]|$)/i],
+      ['image', /\.(png|jpe?g|gif|webp|avif|svg|ico)(?:[?#]|$)/i],
+      ['stylesheet', /\.css(?:[?#]|$)/i],
+      ['script', /\.m?js(?:[?#]|$)/i]
+    ];
+
+    const rate = (metric, value) => {
+      if (value === null) return null;
+      const [good, poor] = THRESHOLDS[metric];
+      return value <= good ? 'good' : value <= poor ? 'needs-improvement' : 'poor';
+    };
+    const vital = (metric, value) => ({ value, rating: rate(metric, value) });
+
+    // Entries recorded before we started observing; the first callback delivers them
+    const supports = type => (PerformanceObserver.supportedEntryTypes || []).includes(type);
+    const getBufferedEntries = (type, options = {}) => new Promise(resolve => {
+      if (!supports(type)) {
+        resolve([]);
+        return;
+      }
+      const entries = [];
+      const observer = new PerformanceObserver(list => entries.push(...list.getEntries()));
+      observer.observe({ type, buffered: true, ...options });
+      setTimeout(() => {
+        entries.push(...observer.takeRecords());
+        observer.disconnect();
+        resolve(entries);
+      }, 100);
+    });
+
+    const [lcpEntries, shiftEntries, eventEntries, paintEntries] = await Promise.all([
+      getBufferedEntries('largest-contentful-paint'),
+      getBufferedEntries('layout-shift'),
+      getBufferedEntries('event', { durationThreshold: 16 }),
+      getBufferedEntries('paint')
+    ]);
+
+    const navigation = performance.getEntriesByType('navigation')[0];
+    // Prerendered pages count from activation, not from the prerender request
+    const activationStart = (navigation && navigation.activationStart) || 0;
+    const sinceActivation = time => Math.max(0, Math.round(time - activationStart));
+
+    const lcp = lcpEntries[lcpEntries.length - 1];
+    const fcp = paintEntries.find(entry => entry.name === 'first-contentful-paint');
+
+    // CLS is the largest session window: shifts less than 1s apart, at most 5s long
+    let cls = 0;
+    let windowValue = 0;
+    let windowStart = 0;
+    let previousShift = 0;
+    shiftEntries.filter(entry => !entry.hadRecentInput).forEach(entry => {
+      if (windowValue && (entry.startTime - previousShift > 1000 || entry.startTime - windowStart > 5000)) {
+        windowValue = 0;
       }
+      if (!windowValue) windowStart = entry.startTime;
+      windowValue += entry.value;
+      previousShift = entry.startTime;
+      cls = Math.max(cls, windowValue);
+    });
+
+    // INP: the slowest interaction so far (pages with few interactions have no outliers to drop)
+    const interactions = new Map();
+    eventEntries.filter(entry => entry.interactionId).forEach(entry => {
+      interactions.set(entry.interactionId, Math.max(interactions.get(entry.interactionId) || 0, entry.duration));
+    });
+    const inp = interactions.size ? Math.max(...interactions.values()) : null;
+
+    let lcpElement = null;
+    if (lcp && lcp.element && lcp.element.isConnected) {
+      lcpElement = {
+        selector: getCssSelector(lcp.element),
+        tag: lcp.element.tagName.toLowerCase(),
+        url: lcp.url || null,
+        size: lcp.size,
+        text: lcp.url ? null : lcp.element.textContent.trim().replace(/\s+/g, ' ').slice(0, 60)
+      };
     }
 
-    // Additional tools and libraries with improved detection
-    const additionalTools = [
-      { name: 'jQuery', detector: () => window.jQuery || window.$ },
-      { name: 'Lodash', detector: () => window._ && (window._.VERSION || window._.map) },
-      { name: 'Moment.js', detector: () => window.moment },
-      { name: 'D3.js', detector: () => window.d3 },
-      { name: 'Chart.js', detector: () => window.Chart },
-      { name: 'Axios', detector: () => window.axios },
-      {
-        name: 'GraphQL', detector: () => {
-          // Safer GraphQL detection without using non-standard selectors
-          try {
-            const scripts = document.querySelectorAll('script[type="application/json"]');
-            return Array.from(scripts).some(script => {
-              try {
-                const content = script.textContent;
-                return content && (
-                  content.includes('{"query"') ||
-                  content.includes('"__typename"') ||
-                  content.includes('"kind":"Document"')
-                );
-              } catch (e) {
-                return false;
-              }
-            });
-          } catch (e) {
-            return false;
-          }
+    // DOM size and nesting depth
+    let elements = 0;
+    let maxDepth = 0;
+    const measure = (el, depth) => {
+      elements++;
+      maxDepth = Math.max(maxDepth, depth);
+      for (const child of el.children) measure(child, depth + 1);
+    };
+    measure(document.documentElement, 1);
+
+    // Resource weight by type and by party. Cached responses transfer nothing, so their body
+    // size stands in; cross-origin ones without Timing-Allow-Origin report no size at all
+    const INITIATOR_TYPES = {
+      script: 'script',
+      img: 'image',
+      image: 'image',
+      css: 'image', // url() references from stylesheets that aren't fonts or sheets
+      xmlhttprequest: 'fetch',
+      fetch: 'fetch',
+      beacon: 'fetch'
+    };
+    const getType = entry => {
+      const fromUrl = FILE_TYPES.find(([, pattern]) => pattern.test(entry.name));
+      return fromUrl ? fromUrl[0] : INITIATOR_TYPES[entry.initiatorType] || 'other';
+    };
+
+    const requests = {
+      count: 0,
+      transferSize: 0,
+      sizeUnknown: 0,
+      byType: {},
+      byParty: { first: { count: 0, bytes: 0 }, third: { count: 0, bytes: 0 } }
+    };
+    const addRequest = (type, url, bytes) => {
+      requests.count++;
+      requests.transferSize += bytes;
+      if (!bytes) requests.sizeUnknown++;
+      requests.byType[type] = requests.byType[type] || { count: 0, bytes: 0 };
+      requests.byType[type].count++;
+      requests.byType[type].bytes += bytes;
+      const party = isFirstParty(url) ? 'first' : 'third';
+      requests.byParty[party].count++;
+      requests.byParty[party].bytes += bytes;
+    };
+
+    const sizeOf = entry => entry.transferSize || entry.encodedBodySize || 0;
+    if (navigation) addRequest('document', navigation.name, sizeOf(navigation));
+    performance.getEntriesByType('resource').forEach(entry => {
+      addRequest(getType(entry), entry.name, sizeOf(entry));
+    });
+
+    return {
+      vitals: {
+        lcp: vital('lcp', lcp ? sinceActivation(lcp.startTime) : null),
+        cls: vital('cls', supports('layout-shift') ? Math.round(cls * 1000) / 1000 : null),
+        inp: vital('inp', inp),
+        fcp: vital('fcp', fcp ? sinceActivation(fcp.startTime) : null),
+        ttfb: vital('ttfb', navigation ? sinceActivation(navigation.responseStart) : null)
+      },
+      interactions: interactions.size,
+      lcpElement,
+      dom: { elements, maxDepth },
+      timing: navigation
+        ? {
+          domContentLoaded: sinceActivation(navigation.domContentLoadedEventEnd),
+          load: navigation.loadEventEnd ? sinceActivation(navigation.loadEventEnd) : null
         }
-      }
-    ];
+        : null,
+      requests
+    };
+  }
+
+  function inventoryThirdParties() {
+    // Every third-party script, from the DOM and from resource timing (which also sees
+    // scripts that removed their own tag), grouped by domain and attributed to a vendor
+    const scripts = new Map(); // absolute URL -> script info
 
-    additionalTools.forEach(tool => {
-      if (safeDetect(tool.detector)) {
-        tech.tools.push(tool.name);
+    const getLoading = el => {
+      if (el.type === 'module') return el.hasAttribute('async') ? 'async' : 'defer';
+      if (el.hasAttribute('async')) return 'async';
+      if (el.hasAttribute('defer')) return 'defer';
+      // Scripts inserted from JavaScript are async unless they opt out
+      return el.async ? 'async' : 'blocking';
+    };
+
+    document.querySelectorAll('script[src]').forEach(el => {
+      const url = el.src;
+      if (!url || !/^https?:/.test(url) || isFirstParty(url) || scripts.has(url)) return;
+      scripts.set(url, { url, loading: getLoading(el), bytes: 0 });
+    });
+
+    performance.getEntriesByType('resource')
+      .filter(entry => entry.initiatorType === 'script' && !isFirstParty(entry.name))
+      .forEach(entry => {
+        const script = scripts.get(entry.name) || { url: entry.name, loading: 'injected', bytes: 0 };
+        script.bytes = Math.max(script.bytes, entry.transferSize || entry.encodedBodySize || 0);
+        scripts.set(entry.name, script);
+      });
+
+    const domains = new Map();
+    scripts.forEach(script => {
+      const hostname = new URL(script.url).hostname;
+      const group = domains.get(hostname) || {
+        domain: hostname,
+        site: getSiteDomain(hostname),
+        vendor: null,
+        category: 'other',
+        bytes: 0,
+        scripts: []
+      };
+      // Vendors are matched per script, since some are told apart by path (reCAPTCHA on gstatic.com)
+      const vendor = findVendor(script.url);
+      if (vendor && !group.vendor) {
+        group.vendor = vendor.name;
+        group.category = vendor.category;
       }
+      group.scripts.push(script);
+      group.bytes += script.bytes;
+      domains.set(hostname, group);
     });
 
-    return tech;
+    const list = [...domains.values()].sort((a, b) => b.bytes - a.bytes || b.scripts.length - a.scripts.length);
+    return {
+      domains: list,
+      scriptCount: scripts.size,
+      totalBytes: list.reduce((sum, group) => sum + group.bytes, 0),
+      blocking: [...scripts.values()].filter(script => script.loading === 'blocking').length
+    };
   }
 
 })();
@@ -0,0 +1,116 @@
+// Batch crawl helpers: reading URL lists and sitemaps, and aggregating per-page analyses site-wide
+import { fontFamilies, paletteColors, technologyNames } from './history';
+
+// Colors on at least this share of pages make up the site's dominant palette
+const DOMINANT_SHARE = 0.5;
+// Pages with more than this share of their palette outside the dominant one are reported
+const DEVIATION_SHARE = 0.5;
+
+// One URL per line; blank lines, `#` comments and anything that isn't http(s) are skipped
+export function parseUrlList(text) {
+  const urls = text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#') && /^https?:\/\//i.test(line));
+  return [...new Set(urls)];
+}
+
+// A sitemap lists pages in <url><loc>; a sitemap index lists further sitemaps in <sitemap><loc>
+export function parseSitemap(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Not a valid sitemap XML file');
+  }
+
+  const locs = tagName => Array.from(doc.getElementsByTagName(tagName))
+    .map(entry => entry.getElementsByTagName('loc')[0])
+    .filter(Boolean)
+    .map(loc => loc.textContent.trim())
+    .filter(Boolean);
+
+  return { urls: locs('url'), sitemaps: locs('sitemap') };
+}
+
+// Only what the aggregate and exports need, so long crawls don't hold every full result
+export function toPageResult(url, data) {
+  return {
+    url,
+    finalUrl: data.url,
+    title: data.title,
+    timestamp: data.timestamp,
+    fonts: [...fontFamilies(data.typography)],
+    colors: [...paletteColors(data.colors)],
+    technologies: [...technologyNames(data.technologies)]
+  };
+}
+
+// Page counts per value, most widespread first
+function countPages(pages, key) {
+  const counts = new Map();
+  pages.forEach(page => {
+    new Set(page[key]).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  });
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, pages: count }))
+    .sort((a, b) => b.pages - a.pages || String(a.value).localeCompare(String(b.value)));
+}
+
+// `pages` are `toPageResult` entries, or `{ url, error }` for pages that failed
+export function aggregateCrawl(pages) {
+  const analyzed = pages.filter(page => !page.error);
+  const colors = countPages(analyzed, 'colors');
+  const dominant = new Set(colors
+    .filter(({ pages: count }) => count >= analyzed.length * DOMINANT_SHARE)
+    .map(({ value }) => value));
+
+  const deviations = analyzed
+    .map(page => {
+      const offPalette = page.colors.filter(color => !dominant.has(color));
+      return {
+        url: page.url,
+        offPalette,
+        share: page.colors.length > 0 ? offPalette.length / page.colors.length : 0
+      };
+    })
+    .filter(({ share }) => share > DEVIATION_SHARE)
+    .sort((a, b) => b.share - a.share);
+
+  return {
+    pages: pages.length,
+    analyzed: analyzed.length,
+    failed: pages.filter(page => page.error).map(({ url, error }) => ({ url, error })),
+    fonts: countPages(analyzed, 'fonts'),
+    colors,
+    dominantPalette: [...dominant],
+    deviations,
+    technologies: countPages(analyzed, 'technologies')
+  };
+}
+
+function csvCell(value) {
+  let text = Array.isArray(value) ? value.join('; ') : String(value ?? '');
+  // Spreadsheets run cells starting with these as formulas, and page titles are untrusted
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per page; list columns are `; `-separated
+export function crawlToCsv(pages, aggregate = aggregateCrawl(pages)) {
+  const deviating = new Set(aggregate.deviations.map(({ url }) => url));
+  const rows = [['url', 'final_url', 'title', 'status', 'fonts', 'colors', 'off_palette', 'technologies']];
+  pages.forEach(page => {
+    rows.push(page.error
+      ? [page.url, '', '', `error: ${page.error}`, '', '', '', '']
+      : [
+        page.url,
+        page.finalUrl,
+        page.title,
+        deviating.has(page.url) ? 'deviates' : 'ok',
+        page.fonts,
+        page.colors,
+        page.colors.filter(color => !aggregate.dominantPalette.includes(color)),
+        page.technologies
+      ]);
+  });
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
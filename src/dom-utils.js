@@ -0,0 +1,74 @@
+// DOM helpers shared by the page-side scripts
+
+// Joins the selector of a shadow host and the selector inside its shadow root.
+// Not valid CSS; the popup's highlighter follows it one shadow root at a time.
+export const SHADOW_SEPARATOR = ' >>> ';
+
+// Build a CSS selector that uniquely identifies `el`, anchored at the nearest unique id.
+// Elements inside open shadow roots are prefixed with their host's selector.
+export function getCssSelector(el) {
+  const root = el.getRootNode();
+  const parts = [];
+  let node = el;
+
+  while (node && node.nodeType === Node.ELEMENT_NODE && node !== document.documentElement) {
+    if (node.id && root.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+      parts.unshift(`#${CSS.escape(node.id)}`);
+      break;
+    }
+
+    const tag = node.tagName.toLowerCase();
+    if (node === document.body) {
+      parts.unshift(tag);
+      break;
+    }
+
+    const parent = node.parentElement;
+    const siblings = parent ? parent.children : (node.parentNode ? node.parentNode.children : []);
+    const sameTagSiblings = Array.from(siblings).filter(child => child.tagName === node.tagName);
+    parts.unshift(sameTagSiblings.length > 1
+      ? `${tag}:nth-of-type(${sameTagSiblings.indexOf(node) + 1})`
+      : tag);
+
+    node = parent;
+  }
+
+  const selector = parts.join(' > ');
+  return root instanceof ShadowRoot
+    ? `${getCssSelector(root.host)}${SHADOW_SEPARATOR}${selector}`
+    : selector;
+}
+
+// Every element under `root` in tree order, descending into open shadow roots
+// (closed ones can't be reached from script)
+export function* walkElements(root) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+  while (walker.nextNode()) {
+    const el = walker.currentNode;
+    yield el;
+    if (el.shadowRoot) yield* walkElements(el.shadowRoot);
+  }
+}
+
+// querySelectorAll that also searches open shadow roots; light DOM matches come first
+export function querySelectorAllDeep(selector, root = document) {
+  const matches = Array.from(root.querySelectorAll(selector));
+  root.querySelectorAll('*').forEach(el => {
+    if (el.shadowRoot) matches.push(...querySelectorAllDeep(selector, el.shadowRoot));
+  });
+  return matches;
+}
+
+// The element that renders around `el`: its slot when slotted, the host at a shadow root boundary
+export function getComposedParent(el) {
+  if (el.assignedSlot) return el.assignedSlot;
+  if (el.parentElement) return el.parentElement;
+  const parent = el.parentNode;
+  return parent instanceof ShadowRoot ? parent.host : null;
+}
+
+// Tag name of the custom element whose shadow root contains `el`, if any
+export function getComponentName(el) {
+  const root = el.getRootNode();
+  return root instanceof ShadowRoot ? root.host.tagName.toLowerCase() : null;
+}
@@ -0,0 +1,136 @@
+// Folding same-origin frame results into the top page's analysis
+import { DEFAULT_CLUSTER_THRESHOLD, clusterColors, parseHex } from './color-utils';
+
+const MAX_PALETTE_COLORS = 12;
+const MAX_CONTRAST_PAIRS = 10;
+
+// Sum counts of `{ value, count }` scale entries by value, keeping the most used first
+function mergeScale(base = [], extra = []) {
+  const merged = new Map(base.map(entry => [entry.value, { ...entry }]));
+  extra.forEach(entry => {
+    const existing = merged.get(entry.value);
+    if (existing) {
+      existing.count += entry.count;
+    } else {
+      merged.set(entry.value, { ...entry });
+    }
+  });
+  return [...merged.values()].sort((a, b) => b.count - a.count);
+}
+
+// Frame colors go through the same ΔE clustering as the top page's, so a frame's near-identical
+// shade joins the page's entry instead of showing up as a separate swatch
+function mergeColors(colors, frameColors, frame) {
+  const threshold = typeof colors.clusterThreshold === 'number' ? colors.clusterThreshold : DEFAULT_CLUSTER_THRESHOLD;
+  const entries = [
+    ...(colors.all || []),
+    ...(frameColors.all || []).map(item => ({ ...item, frames: [frame.url] }))
+  ]
+    .map(item => ({ ...item, channels: parseHex(item.color) }))
+    .filter(item => item.channels);
+
+  const union = (cluster, key) => [...new Set(cluster.flatMap(item => item[key] || []))];
+  const all = clusterColors(entries, threshold).map(cluster => {
+    const { channels, ...leader } = cluster[0];
+    const sources = {};
+    cluster.forEach(item => {
+      Object.entries(item.sources || {}).forEach(([source, count]) => {
+        sources[source] = (sources[source] || 0) + count;
+      });
+    });
+
+    const merged = {
+      ...leader,
+      count: cluster.reduce((sum, item) => sum + item.count, 0),
+      sources,
+      members: [...new Set(cluster.flatMap(item => item.members || [item.color]))],
+      components: union(cluster, 'components'),
+      variables: union(cluster, 'variables')
+    };
+    const frames = union(cluster, 'frames');
+    return frames.length > 0 ? { ...merged, frames } : merged;
+  });
+
+  return {
+    ...colors,
+    all: all.sort((a, b) => b.count - a.count).slice(0, MAX_PALETTE_COLORS)
+  };
+}
+
+function mergeTypography(typography, frameTypography, frame) {
+  const headings = { ...typography.headings };
+  Object.entries(frameTypography.headings || {}).forEach(([level, heading]) => {
+    if (headings[level]) {
+      headings[level] = { ...headings[level], count: headings[level].count + heading.count };
+    } else {
+      headings[level] = { ...heading, frame: frame.url };
+    }
+  });
+
+  return {
+    ...typography,
+    headings,
+    fontFamilies: [...new Set([...(typography.fontFamilies || []), ...(frameTypography.fontFamilies || [])])]
+  };
+}
+
+// The base unit stays the top page's: a frame's handful of elements shouldn't move it
+function mergeLayout(layout, frameLayout) {
+  return {
+    ...layout,
+    elementsAnalyzed: layout.elementsAnalyzed + frameLayout.elementsAnalyzed,
+    spacing: mergeScale(layout.spacing, frameLayout.spacing),
+    radii: mergeScale(layout.radii, frameLayout.radii),
+    shadows: mergeScale(layout.shadows, frameLayout.shadows),
+    zIndices: mergeScale(layout.zIndices, frameLayout.zIndices)
+  };
+}
+
+function mergeAccessibility(audit, frameAudit, frame) {
+  const level = name => ({
+    pass: audit[name].pass + frameAudit[name].pass,
+    fail: audit[name].fail + frameAudit[name].fail
+  });
+
+  return {
+    ...audit,
+    total: audit.total + frameAudit.total,
+    skipped: audit.skipped + frameAudit.skipped,
+    aa: level('aa'),
+    aaa: level('aaa'),
+    worst: [
+      ...(audit.worst || []),
+      ...(frameAudit.worst || []).map(pair => ({ ...pair, frameId: frame.frameId, frame: frame.url }))
+    ]
+      .sort((a, b) => a.ratio - b.ratio)
+      .slice(0, MAX_CONTRAST_PAIRS)
+  };
+}
+
+// `frames` are `{ frameId, data }` for every same-origin frame that finished its analysis.
+// Sections either side failed to produce are left as the top page reported them.
+export function mergeFrameResults(data, frames) {
+  const usable = section => section && typeof section === 'object' && !section.error;
+  const merged = {
+    ...data,
+    frames: frames.map(({ frameId, data: frameData }) => ({ frameId, url: frameData.url, title: frameData.title }))
+  };
+
+  frames.forEach(({ frameId, data: frameData }) => {
+    const frame = { frameId, url: frameData.url };
+    if (usable(merged.colors) && usable(frameData.colors)) {
+      merged.colors = mergeColors(merged.colors, frameData.colors, frame);
+    }
+    if (usable(merged.typography) && usable(frameData.typography)) {
+      merged.typography = mergeTypography(merged.typography, frameData.typography, frame);
+    }
+    if (usable(merged.layout) && usable(frameData.layout)) {
+      merged.layout = mergeLayout(merged.layout, frameData.layout);
+    }
+    if (usable(merged.accessibility) && usable(frameData.accessibility) && frameData.accessibility.total) {
+      merged.accessibility = mergeAccessibility(merged.accessibility, frameData.accessibility, frame);
+    }
+  });
+
+  return merged;
+}
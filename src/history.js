@@ -0,0 +1,161 @@
+// Persistent analysis history: per-page snapshots in chrome.storage.local and diffs between them
+
+const HISTORY_PREFIX = 'history:';
+const MAX_SNAPSHOTS_PER_PAGE = 20;
+// Pages with a history; past this the least recently analyzed page's history is dropped
+const MAX_HISTORY_PAGES = 100;
+// Page key -> when a snapshot was last saved for it, for evicting least recently used pages
+const HISTORY_INDEX_KEY = 'historyIndex';
+
+// Snapshots are grouped by origin + path, so query strings and hashes share a history
+export function getPageKey(url) {
+  const parsed = new URL(url);
+  return `${HISTORY_PREFIX}${parsed.origin}${parsed.pathname}`;
+}
+
+// Only what the History view and diffs need, to stay well inside the storage quota
+function toSnapshot(data) {
+  return {
+    url: data.url,
+    title: data.title,
+    timestamp: data.timestamp,
+    typography: data.typography || null,
+    colors: data.colors || null,
+    technologies: data.technologies || null
+  };
+}
+
+// Newest first
+export async function getSnapshots(url) {
+  const key = getPageKey(url);
+  const stored = await chrome.storage.local.get(key);
+  return stored[key] || [];
+}
+
+// Writes read the history index, change it and write it back, so they take turns; saves that
+// overlapped (Compare records both tabs at once) would otherwise drop each other's pages from it
+let writeQueue = Promise.resolve();
+
+function queueWrite(write) {
+  const result = writeQueue.then(write);
+  writeQueue = result.catch(() => {});
+  return result;
+}
+
+// Store a completed analysis; the same run (same timestamp) is only recorded once
+export function saveSnapshot(data) {
+  if (!data || !data.url || !data.timestamp || data.error) return Promise.resolve(false);
+  return queueWrite(() => writeSnapshot(data));
+}
+
+async function writeSnapshot(data) {
+  const key = getPageKey(data.url);
+  const snapshots = await getSnapshots(data.url);
+  if (snapshots.some(snapshot => snapshot.timestamp === data.timestamp)) return false;
+
+  snapshots.unshift(toSnapshot(data));
+
+  const index = await getHistoryIndex();
+  index[key] = Date.now();
+  await evictPages(index, Object.keys(index).length - MAX_HISTORY_PAGES, key);
+
+  // Past the storage quota, older pages make room until the write fits or none are left
+  while (true) {
+    try {
+      await chrome.storage.local.set({
+        [key]: snapshots.slice(0, MAX_SNAPSHOTS_PER_PAGE),
+        [HISTORY_INDEX_KEY]: index
+      });
+      return true;
+    } catch (error) {
+      if (!/quota/i.test(error.message) || !(await evictPages(index, 1, key))) throw error;
+    }
+  }
+}
+
+export function clearSnapshots(url) {
+  return queueWrite(async () => {
+    const key = getPageKey(url);
+    const index = await getHistoryIndex();
+    delete index[key];
+    await chrome.storage.local.remove(key);
+    await chrome.storage.local.set({ [HISTORY_INDEX_KEY]: index });
+  });
+}
+
+// Histories saved before the index existed are indexed by their newest snapshot
+async function getHistoryIndex() {
+  const { [HISTORY_INDEX_KEY]: index } = await chrome.storage.local.get(HISTORY_INDEX_KEY);
+  if (index) return index;
+
+  const stored = await chrome.storage.local.get(null);
+  return Object.fromEntries(Object.entries(stored)
+    .filter(([key, snapshots]) => key.startsWith(HISTORY_PREFIX) && Array.isArray(snapshots))
+    .map(([key, snapshots]) => [key, snapshots[0] ? Date.parse(snapshots[0].timestamp) || 0 : 0]));
+}
+
+// Drop the `count` least recently saved pages other than `keep`, updating `index` in place.
+// Resolves with whether anything was removed.
+async function evictPages(index, count, keep) {
+  const evicted = Object.keys(index)
+    .filter(key => key !== keep)
+    .sort((a, b) => index[a] - index[b])
+    .slice(0, Math.max(0, count));
+  if (evicted.length === 0) return false;
+
+  evicted.forEach(key => delete index[key]);
+  await chrome.storage.local.remove(evicted);
+  return true;
+}
+
+// Technology entries were plain strings before signatures carried versions and confidence
+export function technologyNames(technologies) {
+  const names = new Set();
+  Object.values(technologies || {}).forEach(entries => {
+    const list = Array.isArray(entries) ? entries : (entries ? [entries] : []);
+    list.forEach(entry => names.add(typeof entry === 'string' ? entry : entry.name));
+  });
+  return names;
+}
+
+export function paletteColors(colors) {
+  return new Set(((colors && colors.all) || []).map(item => item.color).filter(Boolean));
+}
+
+export function fontFamilies(typography) {
+  return new Set((typography && typography.fontFamilies) || []);
+}
+
+function setDiff(before, after) {
+  return {
+    added: [...after].filter(item => !before.has(item)),
+    removed: [...before].filter(item => !after.has(item))
+  };
+}
+
+// Compare an older snapshot with a newer one of the same page
+export function diffSnapshots(older, newer) {
+  const olderHeadings = (older.typography && older.typography.headings) || {};
+  const newerHeadings = (newer.typography && newer.typography.headings) || {};
+
+  const headings = [];
+  ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].forEach(level => {
+    const from = olderHeadings[level] ? olderHeadings[level].fontSize : null;
+    const to = newerHeadings[level] ? newerHeadings[level].fontSize : null;
+    if (from !== to) {
+      headings.push({ level, from, to });
+    }
+  });
+
+  const diff = {
+    colors: setDiff(paletteColors(older.colors), paletteColors(newer.colors)),
+    fonts: setDiff(fontFamilies(older.typography), fontFamilies(newer.typography)),
+    headings,
+    technologies: setDiff(technologyNames(older.technologies), technologyNames(newer.technologies))
+  };
+
+  diff.unchanged = headings.length === 0 &&
+    ['colors', 'fonts', 'technologies'].every(key => !diff[key].added.length && !diff[key].removed.length);
+
+  return diff;
+}
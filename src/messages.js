@@ -0,0 +1,13 @@
+// Message protocol shared by content.js and the popup
+
+export const MESSAGE_TYPES = {
+  ANALYSIS_PROGRESS: 'site-info:analysis-progress',
+  // Progress within a long-running analyzer: { analyzer, done, total }
+  ANALYSIS_STEP: 'site-info:analysis-step',
+  ANALYSIS_COMPLETE: 'site-info:analysis-complete',
+  ANALYSIS_ERROR: 'site-info:analysis-error',
+  GET_RESPONSE_HEADERS: 'site-info:get-response-headers'
+};
+
+// Analyzers in the order content.js runs them; each reports progress under this key
+export const ANALYZERS = ['typography', 'fonts', 'variables', 'colors', 'layout', 'accessibility', 'themes', 'meta', 'technologies', 'thirdParties', 'security', 'performance'];
@@ -0,0 +1,149 @@
+// Node API: runs the shared analyzers against an HTML string, a saved HTML file or a URL in jsdom
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { detectTechnologies, getColors, getTypography } from './analyzers';
+
+export { parseHex, toHsl } from './color-utils';
+export { REPORT_FORMATS, buildReport } from './report';
+
+// DOM globals the analyzers read; installed from the jsdom window for the duration of a run
+const DOM_GLOBALS = ['window', 'document', 'navigator', 'Node', 'NodeFilter', 'Element', 'HTMLElement',
+  'SVGElement', 'ShadowRoot', 'CSSStyleSheet', 'CSSStyleRule', 'CSSMediaRule', 'getComputedStyle'];
+
+// How long to wait for linked stylesheets before analyzing whatever has loaded
+const LOAD_TIMEOUT_MS = 15000;
+
+function installGlobals(window) {
+  const previous = DOM_GLOBALS.map(name => [name, Object.getOwnPropertyDescriptor(globalThis, name)]);
+  DOM_GLOBALS.forEach(name => {
+    const value = name === 'getComputedStyle' ? window.getComputedStyle.bind(window) : window[name];
+    Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+  });
+
+  return () => {
+    previous.forEach(([name, descriptor]) => {
+      if (descriptor) {
+        Object.defineProperty(globalThis, name, descriptor);
+      } else {
+        delete globalThis[name];
+      }
+    });
+  };
+}
+
+// The analyzers read the DOM from globals and await between steps, so runs that overlapped
+// would swap each other's window out mid-analysis. Runs take turns; page loading still overlaps.
+let globalsQueue = Promise.resolve();
+
+function withGlobals(window, run) {
+  const result = globalsQueue.then(async () => {
+    const restore = installGlobals(window);
+    try {
+      return await run();
+    } finally {
+      restore();
+    }
+  });
+  globalsQueue = result.catch(() => {});
+  return result;
+}
+
+function waitForLoad(window) {
+  if (window.document.readyState === 'complete') return Promise.resolve();
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, LOAD_TIMEOUT_MS);
+    window.addEventListener('load', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+}
+
+// Same shape as the extension's results for these analyzers, so tokens and diffs work on either.
+// `headers` are the document's response headers, keyed by lowercased name.
+async function analyzeDom(dom, { settings = {}, headers = null } = {}) {
+  const { window } = dom;
+  await waitForLoad(window);
+
+  try {
+    return await withGlobals(window, async () => {
+      const analyzers = {
+        typography: () => getTypography(),
+        colors: () => getColors({}, { settings }),
+        technologies: () => detectTechnologies({ settings, responseHeaders: headers ? { headers } : null })
+      };
+
+      const results = {};
+      for (const [name, analyzer] of Object.entries(analyzers)) {
+        try {
+          results[name] = await analyzer();
+        } catch (e) {
+          console.error(`Error in ${name} analysis:`, e);
+          results[name] = { error: e.message };
+        }
+      }
+
+      return {
+        ...results,
+        url: window.location.href,
+        title: window.document.title,
+        timestamp: new Date().toISOString()
+      };
+    });
+  } finally {
+    window.close();
+  }
+}
+
+// `loadResources: false` skips fetching linked stylesheets; `runScripts: true` executes the
+// page's scripts, so globals they define count as technology evidence
+function createDom(html, url, { loadResources = true, runScripts = false } = {}) {
+  // Page console output is passed through; jsdom's own notices about APIs it doesn't
+  // implement (pseudo-element styles, layout) would bury it and say nothing about the page
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+  virtualConsole.on('jsdomError', error => {
+    if (error.type !== 'not implemented') console.error(error.message);
+  });
+
+  // Scripts stay off by default: the analysis covers the served markup and its stylesheets
+  return new JSDOM(html, {
+    url,
+    virtualConsole,
+    resources: loadResources ? 'usable' : undefined,
+    runScripts: runScripts ? 'dangerously' : undefined,
+    pretendToBeVisual: true
+  });
+}
+
+export async function analyzeHtml(html, { url = 'about:blank', ...options } = {}) {
+  return analyzeDom(createDom(html, url, options), options);
+}
+
+export async function analyzeFile(file, options = {}) {
+  const fullPath = path.resolve(file);
+  const html = await fs.promises.readFile(fullPath, 'utf8');
+  // A file: URL lets relative stylesheet links resolve next to the file
+  return analyzeDom(createDom(html, pathToFileURL(fullPath).href, options), options);
+}
+
+export async function analyzeUrl(url, options = {}) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Request for ${url} failed with ${response.status} ${response.statusText}`);
+  }
+
+  const headers = {};
+  response.headers.forEach((value, name) => {
+    headers[name.toLowerCase()] = value;
+  });
+
+  return analyzeDom(createDom(await response.text(), response.url, options), { headers, ...options });
+}
+
+// Files and URLs both work wherever a page is expected
+export function analyze(target, options = {}) {
+  return /^https?:\/\//i.test(target) ? analyzeUrl(target, options) : analyzeFile(target, options);
+}
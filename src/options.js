@@ -0,0 +1,156 @@
+import './options.css';
+import { BUILT_IN_SIGNATURES, CATEGORIES, validateSignatures } from './signatures';
+
+const EXAMPLE_SIGNATURE = [
+  {
+    name: 'Acme Design System',
+    category: 'libraries',
+    globals: ['AcmeDS'],
+    versionGlobals: ['AcmeDS.version'],
+    selectors: ['[data-acme-component]'],
+    scripts: ['cdn\\.acme\\.com/ds@([\\d.]+)/'],
+    meta: { generator: 'Acme' },
+    headers: { 'x-acme-edge': '' },
+    cookies: ['^acme_session$'],
+    implies: ['React']
+  }
+];
+
+const DEFAULT_SETTINGS = {
+  colorClusterThreshold: 3,
+  nodeBudget: 5000
+};
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const root = document.getElementById('root');
+  root.innerHTML = `
+    <main>
+      <h1>Site Info Options</h1>
+
+      <div class="card">
+        <h2>Color Analysis</h2>
+        <p>
+          Colors closer than this perceptual distance (ΔE in OKLab, ×100) are merged into one
+          palette entry. Around 2 is barely noticeable; 0 keeps every distinct hex.
+        </p>
+        <div class="actions">
+          <input id="cluster-threshold" type="number" min="0" max="50" step="0.5">
+          <button id="save-settings" class="button">Save</button>
+          <span id="settings-status" class="status"></span>
+        </div>
+      </div>
+
+      <div class="card">
+        <h2>Large Pages</h2>
+        <p>
+          Pages with more elements than this are sampled for color, layout, contrast, font usage
+          and technology analysis:
+          buttons, links and headings are always kept, the rest is taken evenly across the page.
+          Higher budgets are more thorough but take longer on very large pages.
+        </p>
+        <div class="actions">
+          <input id="node-budget" type="number" min="500" step="500">
+          <button id="save-budget" class="button">Save</button>
+          <span id="budget-status" class="status"></span>
+        </div>
+      </div>
+
+      <div class="card">
+        <h2>Custom Technology Signatures</h2>
+        <p>
+          Add your team's own detection rules. They are matched alongside the
+          ${BUILT_IN_SIGNATURES.length} built-in signatures every time a page is analyzed.
+          Categories: ${CATEGORIES.map(category => `<code>${category}</code>`).join(', ')}.
+        </p>
+        <p>
+          Patterns are regular expressions; a capture group in a <code>scripts</code>,
+          <code>meta</code> or <code>headers</code> pattern is reported as the version.
+        </p>
+        <pre>${JSON.stringify(EXAMPLE_SIGNATURE, null, 2)}</pre>
+        <textarea id="signatures" spellcheck="false" placeholder="[]"></textarea>
+        <div class="actions">
+          <button id="save" class="button">Save</button>
+          <button id="load-file" class="button button-secondary">Load JSON File</button>
+          <button id="clear" class="button button-secondary">Clear</button>
+          <input id="file-input" type="file" accept="application/json,.json" hidden>
+          <span id="status" class="status"></span>
+        </div>
+      </div>
+    </main>
+  `;
+
+  const textarea = document.getElementById('signatures');
+  const fileInput = document.getElementById('file-input');
+
+  const { customSignatures = [], settings = {} } = await chrome.storage.local.get(['customSignatures', 'settings']);
+  textarea.value = customSignatures.length ? JSON.stringify(customSignatures, null, 2) : '';
+
+  const thresholdInput = document.getElementById('cluster-threshold');
+  thresholdInput.value = settings.colorClusterThreshold ?? DEFAULT_SETTINGS.colorClusterThreshold;
+
+  document.getElementById('save-settings').addEventListener('click', async () => {
+    const threshold = parseFloat(thresholdInput.value);
+    if (isNaN(threshold) || threshold < 0) {
+      showStatus('Threshold must be a number of 0 or more', 'error', 'settings-status');
+      return;
+    }
+
+    const { settings: current = {} } = await chrome.storage.local.get('settings');
+    await chrome.storage.local.set({ settings: { ...current, colorClusterThreshold: threshold } });
+    showStatus('Settings saved', 'success', 'settings-status');
+  });
+
+  const budgetInput = document.getElementById('node-budget');
+  budgetInput.value = settings.nodeBudget ?? DEFAULT_SETTINGS.nodeBudget;
+
+  document.getElementById('save-budget').addEventListener('click', async () => {
+    const budget = parseInt(budgetInput.value, 10);
+    if (isNaN(budget) || budget < 500) {
+      showStatus('Node budget must be at least 500', 'error', 'budget-status');
+      return;
+    }
+
+    const { settings: current = {} } = await chrome.storage.local.get('settings');
+    await chrome.storage.local.set({ settings: { ...current, nodeBudget: budget } });
+    showStatus('Settings saved', 'success', 'budget-status');
+  });
+
+  document.getElementById('save').addEventListener('click', () => {
+    saveSignatures(textarea.value);
+  });
+
+  document.getElementById('clear').addEventListener('click', async () => {
+    textarea.value = '';
+    await chrome.storage.local.remove('customSignatures');
+    showStatus('Custom signatures removed', 'success');
+  });
+
+  document.getElementById('load-file').addEventListener('click', () => {
+    fileInput.click();
+  });
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+
+    textarea.value = await file.text();
+    fileInput.value = '';
+    saveSignatures(textarea.value);
+  });
+});
+
+async function saveSignatures(text) {
+  try {
+    const signatures = text.trim() ? validateSignatures(JSON.parse(text)) : [];
+    await chrome.storage.local.set({ customSignatures: signatures });
+    showStatus(`Saved ${signatures.length} custom signature${signatures.length === 1 ? '' : 's'}`, 'success');
+  } catch (error) {
+    showStatus(error.message, 'error');
+  }
+}
+
+function showStatus(message, type, elementId = 'status') {
+  const status = document.getElementById(elementId);
+  status.textContent = message;
+  status.className = `status ${type}`;
+}
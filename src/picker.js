@@ -0,0 +1,343 @@
+// Element picker: injected by the popup, highlights elements on hover and inspects the clicked one
+import { rgbaToHex } from './color-utils';
+
+(function () {
+  // Injecting again while the picker is active toggles it off
+  if (window.__SITE_INFO_PICKER__) {
+    window.__SITE_INFO_PICKER__.stop();
+    return;
+  }
+
+  const HOST_ID = 'site-info-picker-host';
+  const INSPECTED_PROPERTIES = [
+    ['font-family', 'fontFamily'],
+    ['font-size', 'fontSize'],
+    ['font-weight', 'fontWeight'],
+    ['line-height', 'lineHeight'],
+    ['letter-spacing', 'letterSpacing'],
+    ['color', 'color'],
+    ['background-color', 'backgroundColor'],
+    ['border-radius', 'borderRadius'],
+    ['box-shadow', 'boxShadow']
+  ];
+
+  // Everything we render lives in a shadow root so page styles can't leak in
+  const host = document.getElementById(HOST_ID) || document.createElement('div');
+  host.id = HOST_ID;
+  host.style.cssText = 'all: initial; position: fixed; inset: 0; pointer-events: none; z-index: 2147483647;';
+  const shadow = host.shadowRoot || host.attachShadow({ mode: 'open' });
+  shadow.innerHTML = `
+    <style>
+      .overlay {
+        position: fixed;
+        background: rgba(13, 110, 253, 0.15);
+        border: 2px solid #0d6efd;
+        border-radius: 2px;
+        pointer-events: none;
+        display: none;
+      }
+      .overlay-label {
+        position: absolute;
+        top: -22px;
+        left: -2px;
+        background: #0d6efd;
+        color: #fff;
+        font: 11px/1.6 SFMono-Regular, Menlo, Monaco, Consolas, monospace;
+        padding: 0 6px;
+        border-radius: 3px;
+        white-space: nowrap;
+      }
+      .hint {
+        position: fixed;
+        bottom: 16px;
+        left: 50%;
+        transform: translateX(-50%);
+        background: rgba(0, 0, 0, 0.8);
+        color: #fff;
+        font: 13px/1.4 system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif;
+        padding: 6px 12px;
+        border-radius: 20px;
+      }
+      .panel {
+        position: fixed;
+        top: 16px;
+        right: 16px;
+        width: 320px;
+        max-height: calc(100vh - 32px);
+        overflow-y: auto;
+        background: #fff;
+        color: #212529;
+        font: 13px/1.4 system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif;
+        border-radius: 6px;
+        box-shadow: 0 4px 16px rgba(0, 0, 0, 0.2);
+        padding: 16px;
+        pointer-events: auto;
+      }
+      .panel-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        margin-bottom: 12px;
+      }
+      .panel-title {
+        font-weight: 600;
+        font-size: 14px;
+      }
+      .selector {
+        font-family: SFMono-Regular, Menlo, Monaco, Consolas, monospace;
+        font-size: 12px;
+        color: #6c757d;
+        margin-bottom: 12px;
+        word-break: break-all;
+      }
+      .property {
+        display: flex;
+        justify-content: space-between;
+        gap: 12px;
+        padding: 4px 0;
+        border-bottom: 1px solid #dee2e6;
+      }
+      .property-name {
+        color: #6c757d;
+        white-space: nowrap;
+      }
+      .property-value {
+        font-family: SFMono-Regular, Menlo, Monaco, Consolas, monospace;
+        font-size: 12px;
+        text-align: right;
+        word-break: break-word;
+        display: flex;
+        align-items: center;
+        gap: 6px;
+      }
+      .swatch {
+        width: 12px;
+        height: 12px;
+        border-radius: 2px;
+        border: 1px solid #dee2e6;
+        flex-shrink: 0;
+      }
+      .actions {
+        display: flex;
+        gap: 8px;
+        margin-top: 12px;
+      }
+      button {
+        background: #6c757d;
+        color: #fff;
+        border: none;
+        padding: 6px 12px;
+        border-radius: 20px;
+        font: 500 12px system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif;
+        cursor: pointer;
+      }
+      button.primary {
+        background: #0d6efd;
+      }
+      .close {
+        background: none;
+        color: #6c757d;
+        font-size: 18px;
+        padding: 0 4px;
+      }
+    </style>
+    <div class="overlay"><div class="overlay-label"></div></div>
+    <div class="hint">Click an element to inspect it · Esc to cancel</div>
+  `;
+  if (!host.isConnected) {
+    document.documentElement.appendChild(host);
+  }
+
+  const overlay = shadow.querySelector('.overlay');
+  const overlayLabel = shadow.querySelector('.overlay-label');
+  const hint = shadow.querySelector('.hint');
+  let hovered = null;
+
+  window.__SITE_INFO_PICKER__ = { stop };
+  startPicking();
+
+  function startPicking() {
+    hint.style.display = '';
+    document.addEventListener('mousemove', onMouseMove, true);
+    document.addEventListener('click', onClick, true);
+    document.addEventListener('keydown', onKeyDown, true);
+  }
+
+  function stopPicking() {
+    document.removeEventListener('mousemove', onMouseMove, true);
+    document.removeEventListener('click', onClick, true);
+    document.removeEventListener('keydown', onKeyDown, true);
+    overlay.style.display = 'none';
+    hint.style.display = 'none';
+    hovered = null;
+  }
+
+  function stop() {
+    stopPicking();
+    host.remove();
+    delete window.__SITE_INFO_PICKER__;
+  }
+
+  function onMouseMove(event) {
+    const el = event.target;
+    if (!el || el === host || el === hovered) return;
+
+    hovered = el;
+    const rect = el.getBoundingClientRect();
+    overlay.style.display = 'block';
+    overlay.style.top = `${rect.top}px`;
+    overlay.style.left = `${rect.left}px`;
+    overlay.style.width = `${rect.width}px`;
+    overlay.style.height = `${rect.height}px`;
+    overlayLabel.textContent = `${describeElement(el)} ${Math.round(rect.width)}×${Math.round(rect.height)}`;
+  }
+
+  function onClick(event) {
+    if (event.target === host) return;
+
+    // Keep the page from following links or submitting forms while picking
+    event.preventDefault();
+    event.stopPropagation();
+
+    const el = event.target;
+    stopPicking();
+    showPanel(el, inspectElement(el));
+  }
+
+  function onKeyDown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      stop();
+    }
+  }
+
+  function inspectElement(el) {
+    const style = getComputedStyle(el);
+    return INSPECTED_PROPERTIES.map(([cssName, jsName]) => ({
+      name: cssName,
+      value: style[jsName]
+    }));
+  }
+
+  // Short tag#id.class label used in the overlay and as the copied CSS selector
+  function describeElement(el) {
+    let label = el.tagName.toLowerCase();
+    if (el.id) {
+      label += `#${CSS.escape(el.id)}`;
+    }
+    const classes = typeof el.className === 'string'
+      ? el.className.trim().split(/\s+/).filter(Boolean).slice(0, 2)
+      : [];
+    classes.forEach(cls => {
+      label += `.${CSS.escape(cls)}`;
+    });
+    return label;
+  }
+
+  function toCss(selector, properties) {
+    const declarations = properties
+      .filter(({ name, value }) => {
+        if (!value) return false;
+        if (name === 'background-color' && !rgbaToHex(value)) return false;
+        if (name === 'box-shadow' && value === 'none') return false;
+        if (name === 'border-radius' && value === '0px') return false;
+        return true;
+      })
+      .map(({ name, value }) => {
+        const isColor = name === 'color' || name === 'background-color';
+        return `  ${name}: ${isColor ? rgbaToHex(value) : value};`;
+      });
+    return `${selector} {\n${declarations.join('\n')}\n}`;
+  }
+
+  function showPanel(el, properties) {
+    const selector = describeElement(el);
+    const existing = shadow.querySelector('.panel');
+    if (existing) existing.remove();
+
+    const panel = document.createElement('div');
+    panel.className = 'panel';
+    panel.innerHTML = `
+      <div class="panel-header">
+        <div class="panel-title">Inspected Element</div>
+        <button class="close" title="Close">×</button>
+      </div>
+      <div class="selector"></div>
+      <div class="properties"></div>
+      <div class="actions">
+        <button class="primary copy-css">Copy as CSS</button>
+        <button class="pick-again">Pick another</button>
+      </div>
+    `;
+    panel.querySelector('.selector').textContent = selector;
+
+    // Values come from the page, so they're set as text rather than markup
+    const list = panel.querySelector('.properties');
+    properties.forEach(({ name, value }) => {
+      const row = document.createElement('div');
+      row.className = 'property';
+
+      const nameEl = document.createElement('div');
+      nameEl.className = 'property-name';
+      nameEl.textContent = name;
+
+      const valueEl = document.createElement('div');
+      valueEl.className = 'property-value';
+      const hex = (name === 'color' || name === 'background-color') ? rgbaToHex(value) : null;
+      if (hex) {
+        const swatch = document.createElement('span');
+        swatch.className = 'swatch';
+        swatch.style.backgroundColor = value;
+        valueEl.appendChild(swatch);
+      }
+      valueEl.appendChild(document.createTextNode(hex || value || 'N/A'));
+
+      row.appendChild(nameEl);
+      row.appendChild(valueEl);
+      list.appendChild(row);
+    });
+
+    const copyButton = panel.querySelector('.copy-css');
+    copyButton.addEventListener('click', () => {
+      copyText(toCss(selector, properties))
+        .then(() => {
+          copyButton.textContent = 'Copied!';
+        })
+        .catch(err => {
+          console.error('Site Info Extension: Failed to copy CSS', err);
+          copyButton.textContent = 'Error';
+        })
+        .finally(() => {
+          setTimeout(() => {
+            copyButton.textContent = 'Copy as CSS';
+          }, 2000);
+        });
+    });
+
+    panel.querySelector('.pick-again').addEventListener('click', () => {
+      panel.remove();
+      startPicking();
+    });
+    panel.querySelector('.close').addEventListener('click', stop);
+
+    shadow.appendChild(panel);
+  }
+
+  // The async clipboard API is unavailable on insecure pages, so fall back to execCommand
+  function copyText(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+      return navigator.clipboard.writeText(text);
+    }
+
+    return new Promise((resolve, reject) => {
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      textarea.style.cssText = 'position: fixed; opacity: 0;';
+      shadow.appendChild(textarea);
+      textarea.select();
+      const copied = document.execCommand('copy');
+      textarea.remove();
+      copied ? resolve() : reject(new Error('Copy command was rejected'));
+    });
+  }
+})();
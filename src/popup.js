@@ -1,6 +1,33 @@
 import './popup.css';
+import { compareSites } from './compare';
+import { clearSnapshots, diffSnapshots, getSnapshots, saveSnapshot } from './history';
+import { downloadFile, escapeHtml } from './html-utils';
+import { PRINT_REPORT_KEY, REPORT_FORMATS, buildReport } from './report';
+import { CATEGORY_LABELS } from './signatures';
+import { analyzeTab, getExistingAnalysis, injectAnalysis, waitForAnalysis, withFrameResults } from './tab-analysis';
+import { TOKEN_FORMATS, formatTokens } from './tokens';
 
-document.addEventListener('DOMContentLoaded', async () => {
+const SECTIONS = {
+  typography: { id: 'typography-section', label: 'Typography', render: data => renderTypography(data) },
+  fonts: { id: 'fonts-section', label: 'Font', render: data => renderFonts(data) },
+  colors: { id: 'colors-content', label: 'Color', render: data => renderColors(data) },
+  themes: { id: 'themes-content', label: 'Theme', render: data => renderThemes(data) },
+  variables: { id: 'variables-section', label: 'Variable', render: data => renderVariables(data) },
+  layout: { id: 'layout-section', label: 'Layout', render: data => renderLayout(data) },
+  accessibility: { id: 'a11y-section', label: 'Accessibility', render: data => renderAccessibility(data) },
+  meta: { id: 'meta-section', label: 'Metadata', render: data => renderMeta(data) },
+  technologies: { id: 'tech-content', label: 'Technology', render: data => renderTechnologies(data) },
+  thirdParties: { id: 'third-parties-content', label: 'Third-party', render: data => renderThirdParties(data) },
+  security: { id: 'security-section', label: 'Security', render: data => renderSecurity(data) },
+  performance: { id: 'performance-section', label: 'Performance', render: data => renderPerformance(data) }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+  analyzeActiveTab();
+});
+
+// Analyze the active tab, reusing cached results unless they are stale or `force` is set
+async function analyzeActiveTab({ force = false } = {}) {
   // Initialize UI in loading state
   const root = document.getElementById('root');
   root.innerHTML = `
@@ -13,7 +40,8 @@ document.addEventListener('DOMContentLoaded', async () => {
   try {
     // Direct approach: Get current tab and execute scripts
     const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-    const tabId = tabs[0]?.id;
+    const tab = tabs[0];
+    const tabId = tab?.id;
 
     if (!tabId) {
       showError('No active tab found');
@@ -21,78 +49,217 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 
     // First attempt to get any existing data
-    const existingResults = await chrome.scripting.executeScript({
-      target: { tabId },
-      func: () => window.__SITE_INFO__ || null
-    });
+    const existing = await getExistingAnalysis(tab, force);
 
-    if (existingResults && existingResults[0]?.result) {
-      // We have data, use it
-      renderSiteInfo(existingResults[0].result);
-      initEventListeners(existingResults[0].result);
+    if (existing && existing.status !== 'analyzing') {
+      // We have data, use it (a previous popup may have closed before recording it)
+      const data = await withFrameResults(tabId, existing);
+      recordSnapshot(data);
+      renderSiteInfo(data);
+      initEventListeners(data);
       return;
     }
 
-    // No existing data, inject the content script
-    try {
-      // Execute content script
-      await chrome.scripting.executeScript({
-        target: { tabId },
-        files: ['content.js']
-      });
+    // Show the tab shell right away and fill each section in as its analyzer reports back
+    const partial = { url: tab.url, title: tab.title, ...existing };
+    renderSiteInfo(partial);
 
-      // Wait a moment for script to complete
-      setTimeout(async () => {
-        try {
-          // Get the results
-          const results = await chrome.scripting.executeScript({
-            target: { tabId },
-            func: () => window.__SITE_INFO__ || null
-          });
+    // Listen before injecting so no progress message is missed
+    const analysis = waitForAnalysis(tabId, {
+      onProgress: (analyzer, result) => {
+        partial[analyzer] = result;
+        renderSection(analyzer, result);
+      },
+      onStep: showSectionProgress,
+      label: analyzer => SECTIONS[analyzer].label
+    });
 
-          const data = results[0]?.result;
-          if (!data) {
-            showError('Failed to extract site information. Try refreshing the page.');
-            return;
-          }
+    // Only inject when the content script isn't already running from a previous popup
+    if (!existing) {
+      try {
+        await injectAnalysis(tabId);
+      } catch (scriptError) {
+        analysis.cancel();
+        showError(`Failed to inject content script: ${scriptError.message}`);
+        return;
+      }
+    }
 
-          if (data.error) {
-            showError(`Analysis error: ${data.error}`);
-            return;
-          }
+    try {
+      const data = await withFrameResults(tabId, await analysis);
+      Object.keys(SECTIONS).forEach(analyzer => {
+        if (partial[analyzer] === undefined || data.frames.length > 0) renderSection(analyzer, data[analyzer]);
+      });
+      updateAnalysisStatus(data);
+      initEventListeners(data);
+      recordSnapshot(data);
+    } catch (analysisError) {
+      const pending = Object.keys(SECTIONS).filter(analyzer => partial[analyzer] === undefined);
+      if (pending.length === Object.keys(SECTIONS).length) {
+        showError(analysisError.message);
+        return;
+      }
 
-          renderSiteInfo(data);
-          initEventListeners(data);
-        } catch (innerError) {
-          showError(`Script execution error: ${innerError.message}`);
-        }
-      }, 1000); // Increased timeout to ensure script has enough time to run
-    } catch (scriptError) {
-      showError(`Failed to inject content script: ${scriptError.message}`);
+      // Keep whatever finished and flag the sections that never arrived
+      pending.forEach(analyzer => {
+        document.getElementById(SECTIONS[analyzer].id).innerHTML = renderSectionError(analysisError.message);
+      });
+      updateAnalysisStatus({ ...partial, status: 'incomplete' });
+      initEventListeners(partial);
     }
   } catch (error) {
     showError(`Error: ${error.message}`);
   }
-});
+}
+
+function recordSnapshot(data) {
+  saveSnapshot(data).catch(error => {
+    console.error('Error saving analysis to history:', error);
+  });
+}
+
+function renderSection(analyzer, result) {
+  const section = SECTIONS[analyzer];
+  if (!section) return;
+
+  document.getElementById(section.id).innerHTML = section.render(result);
+}
+
+function renderSectionPending(label) {
+  return `
+    <div class="card">
+      <div class="loading">
+        <div class="spinner"></div>
+        <div class="loading-label">Analyzing ${label.toLowerCase()}...</div>
+      </div>
+    </div>
+  `;
+}
+
+function showSectionProgress(analyzer, done, total) {
+  const section = SECTIONS[analyzer];
+  const label = section && document.querySelector(`#${section.id} .loading-label`);
+  if (!label || !total) return;
+
+  label.textContent = `Analyzing ${section.label.toLowerCase()}... ${Math.round((done / total) * 100)}%`;
+}
+
+// Messages are plain text, often from the page or the content script
+function renderSectionError(message) {
+  return `<div class="card"><div style="color: #dc3545; padding: 2rem 0; text-align: center;">${escapeHtml(message)}</div></div>`;
+}
 
 function showError(message) {
   const root = document.getElementById('root');
   root.innerHTML = `
     <div class="card">
       <div style="color: #dc3545; text-align: center; padding: 2rem 1rem;">
-        ${message}
+        ${escapeHtml(message)}
       </div>
     </div>
   `;
 }
 
-function initEventListeners(data) {
-  if (!data || typeof data !== 'object') {
-    console.error('Invalid data provided to initEventListeners');
-    return;
+// Show how fresh the data is; re-analyzing is only possible once a run has finished
+function updateAnalysisStatus(data) {
+  const time = document.getElementById('analysis-time');
+  const button = document.getElementById('reanalyze');
+  const analyzing = data.status === 'analyzing' || (!data.timestamp && data.status !== 'incomplete');
+
+  if (time) {
+    if (data.timestamp) {
+      const frameCount = (data.frames || []).length;
+      time.textContent = `Analyzed ${formatRelativeTime(data.timestamp)}` +
+        (data.duration ? ` in ${formatMs(data.duration.total)}` : '') +
+        (frameCount ? ` · includes ${frameCount} frame${frameCount === 1 ? '' : 's'}` : '');
+      time.title = [new Date(data.timestamp).toLocaleString(), ...describeDurations(data.duration)].join('\n');
+    } else {
+      time.textContent = analyzing ? 'Analyzing...' : 'Analysis incomplete';
+      time.title = '';
+    }
+  }
+
+  if (button) {
+    button.disabled = analyzing;
+  }
+}
+
+// Slowest analyzers first, for the analysis time tooltip
+function describeDurations(duration) {
+  if (!duration || !duration.analyzers) return [];
+  return Object.entries(duration.analyzers)
+    .sort((a, b) => b[1] - a[1])
+    .map(([analyzer, ms]) => `${SECTIONS[analyzer] ? SECTIONS[analyzer].label : analyzer}: ${formatMs(ms)}`);
+}
+
+function formatRelativeTime(isoString) {
+  const seconds = Math.round((Date.now() - new Date(isoString).getTime()) / 1000);
+  if (isNaN(seconds)) return 'at an unknown time';
+  if (seconds < 60) return 'just now';
+
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min ago`;
+
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+
+  return new Date(isoString).toLocaleDateString();
+}
+
+// Header controls and tab switching work as soon as the shell renders, before the data is complete
+function initShell() {
+  const inspectButton = document.getElementById('inspect-element');
+  if (inspectButton) {
+    inspectButton.addEventListener('click', async () => {
+      try {
+        const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+        await chrome.scripting.executeScript({
+          target: { tabId: tabs[0].id },
+          files: ['picker.js']
+        });
+        // The picker takes over in the page; the popup would close on the next click anyway
+        window.close();
+      } catch (error) {
+        console.error('Error starting element picker:', error);
+        inspectButton.textContent = 'Error';
+        setTimeout(() => {
+          inspectButton.textContent = 'Inspect';
+        }, 2000);
+      }
+    });
+  }
+
+  const historyButton = document.getElementById('show-history');
+  if (historyButton) {
+    historyButton.addEventListener('click', () => {
+      showHistory();
+    });
+  }
+
+  const batchButton = document.getElementById('open-batch');
+  if (batchButton) {
+    batchButton.addEventListener('click', async () => {
+      // The batch page runs in its own tab, so a crawl outlives the popup
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const origin = tab && /^https?:/.test(tab.url || '') ? new URL(tab.url).origin : '';
+      chrome.tabs.create({ url: chrome.runtime.getURL(`batch.html${origin ? `?origin=${encodeURIComponent(origin)}` : ''}`) });
+    });
+  }
+
+  const compareButton = document.getElementById('show-compare');
+  if (compareButton) {
+    compareButton.addEventListener('click', () => {
+      showCompare();
+    });
+  }
+
+  const reanalyzeButton = document.getElementById('reanalyze');
+  if (reanalyzeButton) {
+    reanalyzeButton.addEventListener('click', () => {
+      analyzeActiveTab({ force: true });
+    });
   }
 
-  // Tab switching
   const tabs = document.querySelectorAll('.tab');
   const sections = document.querySelectorAll('.tab-section');
 
@@ -110,6 +277,13 @@ function initEventListeners(data) {
       });
     });
   });
+}
+
+function initEventListeners(data) {
+  if (!data || typeof data !== 'object') {
+    console.error('Invalid data provided to initEventListeners');
+    return;
+  }
 
   // Copy to clipboard buttons
   const copyButtons = document.querySelectorAll('.copy-button');
@@ -123,12 +297,39 @@ function initEventListeners(data) {
           case 'typography':
             content = JSON.stringify(data.typography || {}, null, 2);
             break;
+          case 'fonts':
+            content = JSON.stringify(data.fonts || {}, null, 2);
+            break;
           case 'colors':
             content = JSON.stringify(data.colors || {}, null, 2);
             break;
+          case 'themes':
+            content = JSON.stringify(data.themes || {}, null, 2);
+            break;
+          case 'variables':
+            content = JSON.stringify(data.variables || {}, null, 2);
+            break;
+          case 'layout':
+            content = JSON.stringify(data.layout || {}, null, 2);
+            break;
+          case 'accessibility':
+            content = JSON.stringify(data.accessibility || {}, null, 2);
+            break;
           case 'technologies':
             content = JSON.stringify(data.technologies || {}, null, 2);
             break;
+          case 'meta':
+            content = JSON.stringify(data.meta || {}, null, 2);
+            break;
+          case 'thirdParties':
+            content = JSON.stringify(data.thirdParties || {}, null, 2);
+            break;
+          case 'security':
+            content = JSON.stringify(data.security || {}, null, 2);
+            break;
+          case 'performance':
+            content = JSON.stringify(data.performance || {}, null, 2);
+            break;
           case 'all':
             content = JSON.stringify(data, null, 2);
             break;
@@ -200,22 +401,113 @@ function initEventListeners(data) {
     });
   });
 
+  // Contrast pairs (and the LCP element) highlight their element in the page on click
+  const contrastPairs = document.querySelectorAll('.contrast-pair');
+  contrastPairs.forEach(pair => {
+    pair.addEventListener('click', async () => {
+      try {
+        const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+        const frameId = pair.getAttribute('data-frame-id');
+        await chrome.scripting.executeScript({
+          target: frameId === null ? { tabId: tabs[0].id } : { tabId: tabs[0].id, frameIds: [Number(frameId)] },
+          func: highlightElementInPage,
+          args: [pair.getAttribute('data-selector')]
+        });
+      } catch (error) {
+        console.error('Error highlighting element:', error);
+      }
+    });
+  });
+
+  // Breakpoint toggle on the Headings card swaps in the sizes measured at that width
+  const breakpointOptions = document.querySelectorAll('.breakpoint-option');
+  breakpointOptions.forEach(option => {
+    option.addEventListener('click', () => {
+      const breakpoint = option.getAttribute('data-breakpoint');
+      breakpointOptions.forEach(other => other.classList.toggle('active', other === option));
+
+      document.querySelectorAll('.heading-example[data-sizes]').forEach(example => {
+        try {
+          const size = JSON.parse(example.getAttribute('data-sizes'))[breakpoint];
+          example.querySelector('.heading-size').textContent = size || 'N/A';
+          if (size) {
+            example.querySelector('.heading-preview').style.fontSize = previewFontSize(size);
+          }
+        } catch (error) {
+          console.error('Error switching breakpoint:', error);
+        }
+      });
+    });
+  });
+
+  // Design token export pickers (Typography and Colors tabs)
+  const tokenExports = document.querySelectorAll('.token-export');
+  tokenExports.forEach(container => {
+    const select = container.querySelector('.token-format');
+    const copyButton = container.querySelector('.token-copy');
+    const downloadButton = container.querySelector('.token-download');
+
+    // Theme exports swap in that variant's palette
+    const variant = container.getAttribute('data-variant');
+    const themeColors = variant && data.themes && data.themes.variants && data.themes.variants[variant]
+      ? data.themes.variants[variant].colors
+      : null;
+    const tokenData = themeColors ? { ...data, colors: themeColors } : data;
+
+    copyButton.addEventListener('click', () => {
+      try {
+        navigator.clipboard.writeText(formatTokens(tokenData, select.value))
+          .then(() => {
+            copyButton.textContent = 'Copied!';
+            setTimeout(() => {
+              copyButton.textContent = 'Copy';
+            }, 2000);
+          })
+          .catch(err => {
+            console.error('Failed to copy tokens: ', err);
+            copyButton.textContent = 'Error';
+            setTimeout(() => {
+              copyButton.textContent = 'Copy';
+            }, 2000);
+          });
+      } catch (error) {
+        console.error('Error generating tokens:', error);
+        copyButton.textContent = 'Error';
+        setTimeout(() => {
+          copyButton.textContent = 'Copy';
+        }, 2000);
+      }
+    });
+
+    downloadButton.addEventListener('click', () => {
+      try {
+        const format = TOKEN_FORMATS[select.value];
+        const suffix = variant ? `-${variant}` : '';
+        const filename = select.value === 'tailwind'
+          ? `tailwind${suffix}.config.js`
+          : `tokens${suffix}.${format.extension}`;
+        downloadFile(formatTokens(tokenData, select.value), filename, format.mimeType);
+      } catch (error) {
+        console.error('Error exporting tokens:', error);
+        alert('Failed to export tokens. See console for details.');
+      }
+    });
+  });
+
+  const reportButton = document.getElementById('generate-report');
+  if (reportButton) {
+    reportButton.addEventListener('click', () => {
+      showReport(data);
+    });
+  }
+
   // Export JSON button
   const exportButton = document.getElementById('export-json');
   if (exportButton) {
     exportButton.addEventListener('click', () => {
       try {
         const jsonString = JSON.stringify(data, null, 2);
-        const blob = new Blob([jsonString], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `site-info-${new Date().toISOString().slice(0, 10)}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        downloadFile(jsonString, `site-info-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
       } catch (error) {
         console.error('Error exporting JSON:', error);
         alert('Failed to export data. See console for details.');
@@ -224,13 +516,380 @@ function initEventListeners(data) {
   }
 }
 
+// Report view: the analysis as a style guide, downloadable or printed to PDF
+function showReport(data) {
+  const root = document.getElementById('root');
+  const host = data.url ? new URL(data.url).hostname : 'site';
+  const date = new Date().toISOString().slice(0, 10);
+
+  try {
+    const html = buildReport(data, 'html');
+
+    root.innerHTML = `
+      <header>
+        <h1>Report</h1>
+        <div class="button-group">
+          <button id="report-back" class="button button-secondary">Back</button>
+        </div>
+      </header>
+
+      <div class="site-info">${escapeHtml(data.title || host)}</div>
+
+      <div class="card">
+        <h2>Style Guide</h2>
+        <div class="contrast-note">
+          Color swatches with hex, RGB and HSL, type specimens for each heading level and body text,
+          and the detected technology stack.
+        </div>
+        <div class="report-actions">
+          ${Object.entries(REPORT_FORMATS).map(([format, { label }]) => `
+            <button class="button button-secondary report-download" data-format="${format}">Download ${label}</button>
+          `).join('')}
+          <button id="report-print" class="button" title="Opens a print-ready page; choose Save as PDF">Print / PDF</button>
+        </div>
+      </div>
+
+      <iframe class="report-preview" title="Report preview" sandbox srcdoc="${escapeHtml(html)}"></iframe>
+    `;
+
+    document.getElementById('report-back').addEventListener('click', () => {
+      analyzeActiveTab();
+    });
+
+    document.querySelectorAll('.report-download').forEach(button => {
+      button.addEventListener('click', () => {
+        try {
+          const format = button.getAttribute('data-format');
+          const { extension, mimeType } = REPORT_FORMATS[format];
+          downloadFile(format === 'html' ? html : buildReport(data, format), `style-guide-${host}-${date}.${extension}`, mimeType);
+        } catch (error) {
+          console.error('Error generating report:', error);
+          alert('Failed to generate the report. See console for details.');
+        }
+      });
+    });
+
+    // The print page reads the report from session storage, since it outlives the popup
+    document.getElementById('report-print').addEventListener('click', async () => {
+      try {
+        await chrome.storage.session.set({ [PRINT_REPORT_KEY]: html });
+        await chrome.tabs.create({ url: chrome.runtime.getURL('print.html') });
+      } catch (error) {
+        console.error('Error opening print view:', error);
+        alert('Failed to open the print view. See console for details.');
+      }
+    });
+  } catch (error) {
+    showError(`Error generating report: ${error.message}`);
+  }
+}
+
+// History view: past snapshots of the active page, with a diff between any two of them
+async function showHistory() {
+  const root = document.getElementById('root');
+
+  try {
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    const url = tabs[0]?.url;
+    const snapshots = url ? await getSnapshots(url) : [];
+
+    root.innerHTML = `
+      <header>
+        <h1>History</h1>
+        <div class="button-group">
+          ${snapshots.length > 0 ? `
+            <button id="clear-history" class="button button-secondary" title="Delete all snapshots of this page">
+              Clear
+            </button>
+          ` : ''}
+          <button id="history-back" class="button button-secondary">Back</button>
+        </div>
+      </header>
+
+      <div class="site-info">${url ? escapeHtml(new URL(url).hostname + new URL(url).pathname) : ''}</div>
+
+      ${snapshots.length === 0 ? `
+        <div class="card"><div style="color: var(--secondary); padding: 2rem 0; text-align: center;">No snapshots of this page yet</div></div>
+      ` : `
+        <div class="card">
+          <h2>Snapshots</h2>
+          <div class="history-list">
+            ${snapshots.map((snapshot, index) => `
+              <label class="history-item">
+                <input type="checkbox" class="history-select" value="${index}" ${index < 2 ? 'checked' : ''}>
+                <div class="history-details">
+                  <div class="history-date">${new Date(snapshot.timestamp).toLocaleString()}</div>
+                  <div class="contrast-note">${escapeHtml(snapshot.title || 'No title')}</div>
+                </div>
+              </label>
+            `).join('')}
+          </div>
+          <div class="contrast-note">Select two snapshots to compare them.</div>
+        </div>
+        <div id="history-diff"></div>
+      `}
+    `;
+
+    document.getElementById('history-back').addEventListener('click', () => {
+      analyzeActiveTab();
+    });
+
+    const clearButton = document.getElementById('clear-history');
+    if (clearButton) {
+      clearButton.addEventListener('click', async () => {
+        await clearSnapshots(url);
+        showHistory();
+      });
+    }
+
+    const checkboxes = Array.from(document.querySelectorAll('.history-select'));
+    const updateDiff = () => {
+      const selected = checkboxes.filter(box => box.checked).map(box => Number(box.value));
+      const diffContainer = document.getElementById('history-diff');
+      if (selected.length !== 2) {
+        diffContainer.innerHTML = '';
+        return;
+      }
+      // Indexes are newest first, so the higher index is the older snapshot
+      const [newer, older] = selected.sort((a, b) => a - b).map(index => snapshots[index]);
+      diffContainer.innerHTML = renderSnapshotDiff(older, newer);
+    };
+
+    checkboxes.forEach(box => {
+      box.addEventListener('change', () => {
+        // Keep at most two selected; the newest click wins
+        if (box.checked) {
+          const others = checkboxes.filter(other => other !== box && other.checked);
+          if (others.length > 1) others[0].checked = false;
+        }
+        updateDiff();
+      });
+    });
+    if (checkboxes.length > 0) updateDiff();
+  } catch (error) {
+    showError(`Error loading history: ${error.message}`);
+  }
+}
+
+function renderSnapshotDiff(older, newer) {
+  const diff = diffSnapshots(older, newer);
+  const period = `${new Date(older.timestamp).toLocaleDateString()} → ${new Date(newer.timestamp).toLocaleDateString()}`;
+
+  if (diff.unchanged) {
+    return `<div class="card"><div style="color: var(--secondary); padding: 2rem 0; text-align: center;">No changes between these snapshots</div></div>`;
+  }
+
+  const changeTags = ({ added, removed }, renderItem = escapeHtml) => `
+    <div class="tech-list">
+      ${added.map(item => `<div class="diff-tag diff-added">+ ${renderItem(item)}</div>`).join('')}
+      ${removed.map(item => `<div class="diff-tag diff-removed">− ${renderItem(item)}</div>`).join('')}
+    </div>
+  `;
+  const hasChanges = ({ added, removed }) => added.length > 0 || removed.length > 0;
+  const colorItem = color => `<span class="diff-swatch" style="background-color: ${color}"></span>${escapeHtml(color)}`;
+
+  return `
+    <div class="card">
+      <h2>Changes <span class="diff-period">${period}</span></h2>
+      ${hasChanges(diff.colors) ? `
+        <div class="tech-section">
+          <div class="tech-section-title">Colors</div>
+          ${changeTags(diff.colors, colorItem)}
+        </div>
+      ` : ''}
+      ${hasChanges(diff.fonts) ? `
+        <div class="tech-section">
+          <div class="tech-section-title">Fonts</div>
+          ${changeTags(diff.fonts)}
+        </div>
+      ` : ''}
+      ${diff.headings.length > 0 ? `
+        <div class="tech-section">
+          <div class="tech-section-title">Heading Sizes</div>
+          ${diff.headings.map(({ level, from, to }) => `
+            <div class="diff-heading">
+              <span class="heading-tag">${level}</span>
+              ${escapeHtml(from || 'none')} → ${escapeHtml(to || 'none')}
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+      ${hasChanges(diff.technologies) ? `
+        <div class="tech-section">
+          <div class="tech-section-title">Technologies</div>
+          ${changeTags(diff.technologies)}
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+// Compare view: this tab next to another open tab of the same window, analyzed on demand
+async function showCompare() {
+  const root = document.getElementById('root');
+
+  try {
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const candidates = (await chrome.tabs.query({ currentWindow: true }))
+      .filter(tab => tab.id !== activeTab.id && /^https?:/.test(tab.url || ''));
+
+    root.innerHTML = `
+      <header>
+        <h1>Compare</h1>
+        <div class="button-group">
+          <button id="compare-back" class="button button-secondary">Back</button>
+        </div>
+      </header>
+
+      <div class="site-info">${activeTab.url ? escapeHtml(describeTab(activeTab)) : ''}</div>
+
+      ${candidates.length === 0 ? `
+        <div class="card"><div style="color: var(--secondary); padding: 2rem 0; text-align: center;">Open the site to compare with in another tab of this window</div></div>
+      ` : `
+        <div class="card">
+          <h2>Compare With</h2>
+          <div class="history-list">
+            ${candidates.map(tab => `
+              <label class="history-item">
+                <input type="radio" name="compare-tab" class="compare-select" value="${tab.id}">
+                <div class="history-details">
+                  <div class="history-date">${escapeHtml(tab.title || 'No title')}</div>
+                  <div class="contrast-note">${escapeHtml(describeTab(tab))}</div>
+                </div>
+              </label>
+            `).join('')}
+          </div>
+        </div>
+        <div id="compare-result"></div>
+      `}
+    `;
+
+    document.getElementById('compare-back').addEventListener('click', () => {
+      analyzeActiveTab();
+    });
+
+    // Picking another tab while one is analyzing only shows the latest pick
+    let latest = null;
+    document.querySelectorAll('.compare-select').forEach(input => {
+      input.addEventListener('change', async () => {
+        const otherTab = candidates.find(tab => tab.id === Number(input.value));
+        const container = document.getElementById('compare-result');
+        latest = otherTab.id;
+        container.innerHTML = `
+          <div class="card">
+            <div class="loading">
+              <div class="spinner"></div>
+              <div class="loading-label">Analyzing ${escapeHtml(new URL(otherTab.url).hostname)}...</div>
+            </div>
+          </div>
+        `;
+
+        try {
+          const [current, other] = await Promise.all([analyzeTab(activeTab), analyzeTab(otherTab)]);
+          [current, other].forEach(recordSnapshot);
+          if (latest !== otherTab.id) return;
+          container.innerHTML = renderComparison(current, other);
+        } catch (error) {
+          if (latest !== otherTab.id) return;
+          container.innerHTML = renderSectionError(error.message);
+        }
+      });
+    });
+  } catch (error) {
+    showError(`Error loading tabs: ${error.message}`);
+  }
+}
+
+function describeTab(tab) {
+  const url = new URL(tab.url);
+  return url.hostname + url.pathname;
+}
+
+function renderComparison(first, second) {
+  const comparison = compareSites(first, second);
+  const firstName = escapeHtml(new URL(first.url).hostname);
+  const secondName = escapeHtml(new URL(second.url).hostname);
+
+  const colorValue = color => color
+    ? `<span class="diff-swatch" style="background-color: ${color}"></span>${escapeHtml(color)}`
+    : '<span class="contrast-note">none</span>';
+  const pairedRows = (rows, label, renderValue) => rows.map(row => `
+    <div class="compare-row${row.same ? ' compare-same' : ''}">
+      <span class="compare-label">${label(row)}</span>
+      <span class="compare-value">${renderValue(row.first)}</span>
+      <span class="compare-value">${renderValue(row.second)}</span>
+    </div>
+  `).join('');
+
+  // Shared entries first, then what sets each site apart in its own column
+  const overlapSection = (title, { shared, onlyFirst, onlySecond }, renderItem = escapeHtml) => {
+    if (!shared.length && !onlyFirst.length && !onlySecond.length) return '';
+    const tags = items => items.length > 0
+      ? `<div class="tech-list">${items.map(item => `<div class="tech-tag compare-tag">${renderItem(item)}</div>`).join('')}</div>`
+      : '<div class="contrast-note">None</div>';
+
+    return `
+      <div class="tech-section">
+        <div class="tech-section-title">${title}</div>
+        ${shared.length > 0 ? `
+          <div class="compare-subtitle">Shared</div>
+          <div class="tech-list">
+            ${shared.map(item => `<div class="diff-tag diff-added">${renderItem(item)}</div>`).join('')}
+          </div>
+        ` : ''}
+        <div class="compare-columns">
+          <div>
+            <div class="compare-subtitle">Only ${firstName}</div>
+            ${tags(onlyFirst)}
+          </div>
+          <div>
+            <div class="compare-subtitle">Only ${secondName}</div>
+            ${tags(onlySecond)}
+          </div>
+        </div>
+      </div>
+    `;
+  };
+
+  return `
+    <div class="card">
+      <h2>Side by Side</h2>
+      <div class="compare-row compare-header">
+        <span class="compare-label"></span>
+        <span class="compare-value" title="${escapeHtml(first.url)}">${firstName}</span>
+        <span class="compare-value" title="${escapeHtml(second.url)}">${secondName}</span>
+      </div>
+      ${comparison.roles.length > 0 ? `
+        <div class="tech-section">
+          <div class="tech-section-title">Color Roles</div>
+          ${pairedRows(comparison.roles, ({ role }) => capitalize(role), colorValue)}
+        </div>
+      ` : ''}
+      ${comparison.headings.length > 0 ? `
+        <div class="tech-section">
+          <div class="tech-section-title">Heading Scale</div>
+          ${pairedRows(comparison.headings, ({ level }) => `<span class="heading-tag">${level}</span>`,
+            size => (size ? escapeHtml(size) : '<span class="contrast-note">none</span>'))}
+        </div>
+      ` : ''}
+      <div class="contrast-note">Highlighted rows are the same on both sites.</div>
+    </div>
+    <div class="card">
+      ${overlapSection('Palette', comparison.palette,
+        color => `<span class="diff-swatch" style="background-color: ${color}"></span>${escapeHtml(color)}`)}
+      ${overlapSection('Font Families', comparison.fonts)}
+      ${overlapSection('Technologies', comparison.technologies)}
+    </div>
+  `;
+}
+
 function renderSiteInfo(data) {
   const root = document.getElementById('root');
 
-  // Handle missing data safely
-  const typography = data.typography || {};
-  const colors = data.colors || {};
-  const technologies = data.technologies || {};
+  // Sections whose analyzer hasn't reported yet show a loading state
+  const sectionHtml = analyzer => data[analyzer] === undefined
+    ? renderSectionPending(SECTIONS[analyzer].label)
+    : SECTIONS[analyzer].render(data[analyzer] || {});
 
   // Basic site information
   const url = new URL(data.url || window.location.href);
@@ -242,6 +901,24 @@ function renderSiteInfo(data) {
     <header>
       <h1>Site Info</h1>
       <div class="button-group">
+        <button id="inspect-element" class="button button-secondary" title="Pick an element on the page to inspect">
+          Inspect
+        </button>
+        <button id="reanalyze" class="button button-secondary" title="Run the analysis again">
+          Re-analyze
+        </button>
+        <button id="show-history" class="button button-secondary" title="Past analyses of this page">
+          History
+        </button>
+        <button id="show-compare" class="button button-secondary" title="Compare with another open tab">
+          Compare
+        </button>
+        <button id="open-batch" class="button button-secondary" title="Analyze a list of URLs or a sitemap">
+          Batch
+        </button>
+        <button id="generate-report" class="button button-secondary" title="Style guide as HTML, Markdown or PDF">
+          Report
+        </button>
         <button id="export-json" class="button button-secondary" title="Export as JSON">
           Export
         </button>
@@ -250,30 +927,79 @@ function renderSiteInfo(data) {
     
     <div class="site-info">
       ${title} — ${hostDisplay}
+      <div id="analysis-time" class="analysis-time"></div>
     </div>
     
     <div class="tabs">
       <button class="tab active" data-target="typography-section">Typography</button>
+      <button class="tab" data-target="fonts-section">Fonts</button>
       <button class="tab" data-target="colors-section">Colors</button>
+      <button class="tab" data-target="variables-section">Variables</button>
+      <button class="tab" data-target="layout-section">Layout</button>
+      <button class="tab" data-target="a11y-section">Accessibility</button>
+      <button class="tab" data-target="meta-section">Meta</button>
       <button class="tab" data-target="tech-section">Technologies</button>
+      <button class="tab" data-target="security-section">Security</button>
+      <button class="tab" data-target="performance-section">Performance</button>
     </div>
     
     <div id="typography-section" class="tab-section">
-      ${renderTypography(typography)}
+      ${sectionHtml('typography')}
+    </div>
+    
+    <div id="fonts-section" class="tab-section section-hidden">
+      ${sectionHtml('fonts')}
     </div>
     
     <div id="colors-section" class="tab-section section-hidden">
-      ${renderColors(colors)}
+      <div id="colors-content">
+        ${sectionHtml('colors')}
+      </div>
+      <div id="themes-content">
+        ${sectionHtml('themes')}
+      </div>
     </div>
     
-    <div id="tech-section" class="tab-section section-hidden">
-      ${renderTechnologies(technologies)}
+    <div id="variables-section" class="tab-section section-hidden">
+      ${sectionHtml('variables')}
+    </div>
+    
+    <div id="layout-section" class="tab-section section-hidden">
+      ${sectionHtml('layout')}
+    </div>
+    
+    <div id="a11y-section" class="tab-section section-hidden">
+      ${sectionHtml('accessibility')}
+    </div>
+    
+    <div id="meta-section" class="tab-section section-hidden">
+      ${sectionHtml('meta')}
+    </div>
+    
+    <div id="tech-section" class="tab-section section-hidden">
+      <div id="tech-content">
+        ${sectionHtml('technologies')}
+      </div>
+      <div id="third-parties-content">
+        ${sectionHtml('thirdParties')}
+      </div>
+    </div>
+    
+    <div id="security-section" class="tab-section section-hidden">
+      ${sectionHtml('security')}
+    </div>
+    
+    <div id="performance-section" class="tab-section section-hidden">
+      ${sectionHtml('performance')}
     </div>
     
     <div class="developer-credit">
       Developed by austinwdigital
     </div>
   `;
+
+  initShell();
+  updateAnalysisStatus(data);
 }
 
 function renderTypography(typography = {}) {
@@ -295,39 +1021,46 @@ function renderTypography(typography = {}) {
     `
     : '';
 
+  // Sizes per breakpoint, when the stylesheets declare any
+  const responsive = typography.responsive || {};
+  const breakpoints = responsive.breakpoints || [];
+  const breakpointToggle = breakpoints.length > 0
+    ? `
+      <div class="breakpoint-toggle" role="group" aria-label="Breakpoint">
+        <button class="breakpoint-option active" data-breakpoint="current"
+          title="Viewport the page was analyzed at">Current${responsive.viewportWidth ? ` (${responsive.viewportWidth}px)` : ''}</button>
+        ${breakpoints.map(width => `
+          <button class="breakpoint-option" data-breakpoint="${width}">${width}px</button>
+        `).join('')}
+      </div>
+    `
+    : '';
+
   // Create type scale visualization with improved font sizing
   const headingsHtml = typography.headings && Object.keys(typography.headings).length > 0
     ? `
       <div class="card">
         <h2>Headings</h2>
+        ${breakpointToggle}
         <div class="type-scale">
           ${Object.entries(typography.headings).map(([tag, style]) => {
-      // Extract numeric font size for proper display
-      const fontSizeValue = parseFloat(style.fontSize || '0');
-      const fontSizeUnit = (style.fontSize || '').replace(/[\d.]/g, '') || 'px';
-
-      // Keep font size within reasonable limits in the preview
-      let displayFontSize;
-      if (fontSizeValue > 28) {
-        displayFontSize = '28px'; // Cap large headings
-      } else if (fontSizeValue < 12) {
-        displayFontSize = '12px'; // Set minimum size for readability
-      } else {
-        displayFontSize = `${fontSizeValue}${fontSizeUnit}`;
-      }
+      const sizes = { current: style.fontSize, ...((responsive.sizes || {})[tag] || {}) };
+      const fluid = (responsive.fluid || {})[tag];
 
       return `
-              <div class="heading-example">
+              <div class="heading-example" data-sizes="${escapeHtml(JSON.stringify(sizes))}">
                 <div class="heading-tag">${tag}</div>
                 <div class="heading-preview" style="
                   font-family: ${style.fontFamily || 'inherit'}; 
-                  font-size: ${displayFontSize}; 
+                  font-size: ${previewFontSize(style.fontSize)}; 
                   font-weight: ${style.fontWeight || 'inherit'};
                   line-height: ${style.lineHeight || 'inherit'};
                 ">Sample Text</div>
                 <div class="heading-info">
-                  ${style.fontSize || 'N/A'}<br>
+                  <span class="heading-size">${style.fontSize || 'N/A'}</span><br>
                   <span style="font-size: 0.7rem;">w: ${style.fontWeight || 'N/A'}</span>
+                  ${fluid ? `<br><span class="fluid-badge" title="${escapeHtml(fluid)}">fluid</span>` : ''}
+                  ${describeOrigin(style) ? `<br><span class="origin-note">${escapeHtml(describeOrigin(style))}</span>` : ''}
                 </div>
               </div>
             `;
@@ -370,7 +1103,201 @@ function renderTypography(typography = {}) {
     </div>
   `;
 
-  return emptyState || (fontFamiliesHtml + headingsHtml + bodyHtml + copyButton);
+  return emptyState || (fontFamiliesHtml + headingsHtml + bodyHtml + renderTokenExport() + copyButton);
+}
+
+// Keep font size within reasonable limits in the heading preview
+function previewFontSize(fontSize) {
+  const fontSizeValue = parseFloat(fontSize || '0');
+  const fontSizeUnit = (fontSize || '').replace(/[\d.]/g, '') || 'px';
+
+  if (fontSizeValue > 28) {
+    return '28px'; // Cap large headings
+  } else if (fontSizeValue < 12) {
+    return '12px'; // Set minimum size for readability
+  }
+  return `${fontSizeValue}${fontSizeUnit}`;
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return '0 KB';
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 102.4) / 10} KB`;
+  return `${Math.round(bytes / (1024 * 102.4)) / 10} MB`;
+}
+
+function renderFonts(fonts = {}) {
+  if (!fonts || typeof fonts !== 'object' || fonts.error) {
+    return `<div class="card"><div style="color: var(--secondary); padding: 2rem 0; text-align: center;">Font data not available</div></div>`;
+  }
+
+  const families = fonts.families || [];
+  if (families.length === 0 && (fonts.files || []).length === 0) {
+    return `<div class="card"><div style="color: var(--secondary); padding: 2rem 0; text-align: center;">No web fonts detected; the page uses system fonts</div></div>`;
+  }
+
+  const summaryHtml = `
+    <div class="card">
+      <h2>Web Fonts</h2>
+      <div class="contrast-summary">
+        <div class="contrast-level">
+          <div class="contrast-level-name">Families</div>
+          <div class="contrast-level-score">${families.length}</div>
+        </div>
+        <div class="contrast-level">
+          <div class="contrast-level-name">Files</div>
+          <div class="contrast-level-score">${(fonts.files || []).length}</div>
+        </div>
+        <div class="contrast-level">
+          <div class="contrast-level-name">Transferred</div>
+          <div class="contrast-level-score">${formatBytes(fonts.totalBytes)}</div>
+        </div>
+      </div>
+      ${fonts.providers && fonts.providers.length > 0 ? `
+        <div class="tech-list">
+          ${fonts.providers.map(provider => `<div class="tech-tag">${escapeHtml(provider)}</div>`).join('')}
+        </div>
+      ` : ''}
+    </div>
+  `;
+
+  const statusBadge = family => {
+    if (family.status === 'loaded' && family.rendered) return '<span class="contrast-badge pass">Rendered</span>';
+    if (family.status === 'loaded') return '<span class="contrast-badge warn">Loaded, unused</span>';
+    if (family.status === 'error') return '<span class="contrast-badge fail">Failed</span>';
+    return '<span class="contrast-badge warn">Not loaded</span>';
+  };
+
+  const familiesHtml = families.length > 0
+    ? `
+      <div class="card">
+        <h2>Families</h2>
+        ${families.map(family => `
+          <div class="font-detail">
+            <div class="font-detail-header">
+              <div class="font-family" style="font-family: '${escapeHtml(family.family)}'">${escapeHtml(family.family)}</div>
+              ${statusBadge(family)}
+            </div>
+            <div class="font-detail-row"><strong>Provider:</strong> ${escapeHtml(family.provider || 'Unknown')}</div>
+            ${family.formats.length ? `<div class="font-detail-row"><strong>Formats:</strong> ${family.formats.join(', ')}</div>` : ''}
+            <div class="font-detail-row"><strong>font-display:</strong> ${family.display.join(', ') || 'auto'}</div>
+            <div class="font-detail-row"><strong>Loaded:</strong> ${family.loaded.join(', ') || 'none'}</div>
+            <div class="font-detail-row"><strong>Used:</strong> ${family.used.join(', ') || 'none'}</div>
+            ${family.synthesized.length ? `
+              <div class="font-detail-row font-warning">Synthesized by the browser: ${family.synthesized.join(', ')}</div>
+            ` : ''}
+          </div>
+        `).join('')}
+      </div>
+    `
+    : '';
+
+  const fallbacksHtml = fonts.fallbacks && fonts.fallbacks.length > 0
+    ? `
+      <div class="card">
+        <h2>Fallbacks in Use</h2>
+        ${fonts.fallbacks.map(fallback => `
+          <div class="font-detail-row font-warning">
+            ${escapeHtml(fallback.requested)} did not load; rendering ${escapeHtml(fallback.rendered)}
+          </div>
+        `).join('')}
+      </div>
+    `
+    : '';
+
+  const filesHtml = fonts.files && fonts.files.length > 0
+    ? `
+      <div class="card">
+        <h2>Files</h2>
+        <ul class="security-finding-list">
+          ${fonts.files.map(file => `
+            <li title="${escapeHtml(file.url)}">${file.format} · ${formatBytes(file.bytes)} · ${escapeHtml(file.url)}</li>
+          `).join('')}
+        </ul>
+        ${fonts.inaccessibleStylesheets ? `
+          <div class="contrast-note">${fonts.inaccessibleStylesheets} cross-origin stylesheet(s) could not be read for @font-face rules</div>
+        ` : ''}
+      </div>
+    `
+    : '';
+
+  const preloadsHtml = fonts.preloads && fonts.preloads.length > 0
+    ? `
+      <div class="card">
+        <h2>Preloads</h2>
+        ${fonts.preloads.map(preload => `
+          <div class="font-detail-row" title="${escapeHtml(preload.url)}">
+            ${escapeHtml(preload.url.split('/').pop())}
+            ${preload.crossorigin ? '' : '<span class="contrast-badge fail">missing crossorigin</span>'}
+            ${preload.fetched ? '' : '<span class="contrast-badge warn">not fetched</span>'}
+          </div>
+        `).join('')}
+      </div>
+    `
+    : '';
+
+  // Copy button
+  const copyButton = `
+    <div style="text-align: right; margin-top: 1rem;">
+      <button class="button button-secondary copy-button" data-type="fonts">
+        Copy Font Data
+      </button>
+    </div>
+  `;
+
+  return summaryHtml + familiesHtml + fallbacksHtml + filesHtml + preloadsHtml + copyButton;
+}
+
+// Short "where it was used" label, most frequent source first
+function formatColorSources(sources) {
+  const merged = {};
+  Object.entries(sources).forEach(([source, count]) => {
+    const name = source.replace(/^pseudo-/, '');
+    merged[name] = (merged[name] || 0) + count;
+  });
+  return Object.entries(merged)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 2)
+    .map(([source]) => source)
+    .join(' · ');
+}
+
+// Name of the custom property a color came from, when the page declares one
+function renderColorVariables(item) {
+  if (!item || !item.variables || item.variables.length === 0) return '';
+  const [first, ...rest] = item.variables;
+  return `
+    <div class="color-variable" title="${escapeHtml(item.variables.join(', '))}">
+      ${escapeHtml(first)}${rest.length ? ` +${rest.length}` : ''}
+    </div>
+  `;
+}
+
+function describeColorItem(item) {
+  const lines = ['Click to copy'];
+  if (item.sources) {
+    lines.push(`Used in: ${Object.entries(item.sources).map(([source, count]) => `${source} (${count})`).join(', ')}`);
+  }
+  if (item.members && item.members.length > 1) {
+    lines.push(`Merged: ${item.members.join(', ')}`);
+  }
+  if (item.components && item.components.length > 0) {
+    lines.push(`Components: ${item.components.map(name => `<${name}>`).join(', ')}`);
+  }
+  if (item.frames && item.frames.length > 0) {
+    lines.push(`Frames: ${item.frames.join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+// Shown under results that only cover a sample of a very large page
+function renderSamplingNote(sampling) {
+  if (!sampling || sampling.elementsAnalyzed >= sampling.elementsTotal) return '';
+  return `
+    <div class="contrast-note">
+      Sampled ${sampling.elementsAnalyzed.toLocaleString()} of ${sampling.elementsTotal.toLocaleString()} elements
+      (node budget ${sampling.budget.toLocaleString()}, adjustable in options)
+    </div>
+  `;
 }
 
 function renderColors(colors = {}) {
@@ -393,6 +1320,7 @@ function renderColors(colors = {}) {
               <div>
                 <div class="role-name">Background</div>
                 <div class="role-value">${colors.background.color}</div>
+                ${renderColorVariables(colors.background)}
               </div>
             </div>
           ` : ''}
@@ -403,6 +1331,7 @@ function renderColors(colors = {}) {
               <div>
                 <div class="role-name">Text</div>
                 <div class="role-value">${colors.text.color}</div>
+                ${renderColorVariables(colors.text)}
               </div>
             </div>
           ` : ''}
@@ -413,6 +1342,7 @@ function renderColors(colors = {}) {
               <div>
                 <div class="role-name">Accent/CTA</div>
                 <div class="role-value">${colors.accent.color}</div>
+                ${renderColorVariables(colors.accent)}
               </div>
             </div>
           ` : ''}
@@ -423,6 +1353,7 @@ function renderColors(colors = {}) {
               <div>
                 <div class="role-name">Link</div>
                 <div class="role-value">${colors.link.color}</div>
+                ${renderColorVariables(colors.link)}
               </div>
             </div>
           ` : ''}
@@ -431,7 +1362,8 @@ function renderColors(colors = {}) {
     `
     : '';
 
-  // Create color palette grid
+  // Create color palette grid; very large pages are sampled
+  const sampling = colors.sampling;
   const paletteHtml = colors.all && colors.all.length > 0
     ? `
       <div class="card">
@@ -439,15 +1371,18 @@ function renderColors(colors = {}) {
         <div class="color-grid">
           ${colors.all.map(item => `
             <div class="color-item">
-              <div class="color-swatch" 
-                style="background-color: ${item.color}" 
+              <div class="color-swatch${item.alpha < 1 ? ' color-swatch-translucent' : ''}" 
+                style="--swatch-color: ${item.color}" 
                 data-color="${item.color}"
-                title="Click to copy">
+                title="${escapeHtml(describeColorItem(item))}">
               </div>
               <div class="color-label">${item.color}</div>
+              ${renderColorVariables(item)}
+              ${item.sources ? `<div class="color-role">${formatColorSources(item.sources)}</div>` : ''}
             </div>
           `).join('')}
         </div>
+        ${renderSamplingNote(sampling)}
       </div>
     `
     : '';
@@ -466,84 +1401,618 @@ function renderColors(colors = {}) {
     </div>
   `;
 
-  return emptyState || (rolesHtml + paletteHtml + copyButton);
+  return emptyState || (rolesHtml + paletteHtml + renderTokenExport() + copyButton);
 }
 
-function renderTechnologies(tech = {}) {
-  if (!tech || typeof tech !== 'object') {
-    return `<div class="card"><div style="color: var(--secondary); padding: 2rem 0; text-align: center;">Technology data not available</div></div>`;
+// `variant` exports one theme's palette ("light" or "dark") instead of the current one
+function renderTokenExport(variant) {
+  return `
+    <div class="card token-export"${variant ? ` data-variant="${variant}"` : ''}>
+      <h2>${variant ? `${capitalize(variant)} Theme Tokens` : 'Design Tokens'}</h2>
+      <div class="token-export-controls">
+        <select class="token-format" aria-label="Token format">
+          ${Object.entries(TOKEN_FORMATS).map(([value, format]) => `
+            <option value="${value}">${format.label}</option>
+          `).join('')}
+        </select>
+        <button class="button button-secondary token-copy">Copy</button>
+        <button class="button button-secondary token-download">Download</button>
+      </div>
+    </div>
+  `;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function renderThemeVariant(name, variant, current) {
+  if (!variant || !variant.colors || variant.colors.error) {
+    return `
+      <div class="theme-variant">
+        <div class="theme-variant-title">${capitalize(name)}</div>
+        <div class="contrast-note">Not available</div>
+      </div>
+    `;
   }
 
-  // Create frameworks section
-  const frameworksHtml = tech.frameworks && tech.frameworks.length > 0
-    ? `
-      <div class="tech-section">
-        <div class="tech-section-title">Frameworks</div>
-        <div class="tech-list">
-          ${tech.frameworks.map(framework => `
-            <div class="tech-tag">${framework}</div>
-          `).join('')}
+  const colors = variant.colors;
+  const roles = [['background', 'Background'], ['text', 'Text'], ['accent', 'Accent'], ['link', 'Link']]
+    .filter(([role]) => colors[role]);
+  const contrast = variant.contrast;
+  const aaRate = contrast && contrast.total > 0 ? Math.round((contrast.aa.pass / contrast.total) * 100) : null;
+  const aaStatus = aaRate === null ? '' : aaRate >= 95 ? 'pass' : aaRate >= 80 ? 'warn' : 'fail';
+
+  return `
+    <div class="theme-variant">
+      <div class="theme-variant-title">
+        ${capitalize(name)}${name === current ? ' <span class="theme-current">current</span>' : ''}
+      </div>
+      <div class="theme-preview" style="background-color: ${colors.background ? colors.background.color : '#ffffff'}; color: ${colors.text ? colors.text.color : 'inherit'}">
+        Aa
+        ${colors.link ? `<span style="color: ${colors.link.color}">link</span>` : ''}
+        ${colors.accent ? `<span class="theme-preview-accent" style="background-color: ${colors.accent.color}"></span>` : ''}
+      </div>
+      ${roles.map(([role, label]) => `
+        <div class="theme-role">
+          <span class="diff-swatch" style="background-color: ${colors[role].color}"></span>
+          <span class="theme-role-name">${label}</span>
+          <span class="role-value">${colors[role].color}</span>
         </div>
+      `).join('')}
+      <div class="theme-palette">
+        ${(colors.all || []).slice(0, 12).map(item => `
+          <span class="theme-palette-swatch" style="background-color: ${item.color}" title="${item.color}"></span>
+        `).join('')}
       </div>
-    `
-    : '';
+      ${aaRate !== null ? `
+        <div class="theme-contrast">
+          <span class="contrast-badge ${aaStatus}">AA ${aaRate}%</span>
+          <span class="contrast-note">${contrast.aa.fail} of ${contrast.total} text elements fail</span>
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
 
-  // Create libraries section
-  const librariesHtml = tech.libraries && tech.libraries.length > 0
-    ? `
-      <div class="tech-section">
-        <div class="tech-section-title">Libraries</div>
-        <div class="tech-list">
-          ${tech.libraries.map(library => `
-            <div class="tech-tag">${library}</div>
+function renderThemes(themes = {}) {
+  if (!themes || typeof themes !== 'object' || themes.error) {
+    return `<div class="card"><div style="color: var(--secondary); padding: 2rem 0; text-align: center;">Theme data not available</div></div>`;
+  }
+
+  if (!themes.supported) {
+    return `
+      <div class="card">
+        <h2>Theme Variants</h2>
+        <div class="contrast-note">
+          No dark mode detected: no prefers-color-scheme rules, theme classes or data-theme attributes in readable stylesheets.
+        </div>
+      </div>
+    `;
+  }
+
+  const variants = themes.variants || {};
+  const comparisonHtml = `
+    <div class="card">
+      <h2>Theme Variants</h2>
+      <div class="contrast-note">Switched by ${themes.mechanisms.map(mechanism => `<code>${escapeHtml(mechanism)}</code>`).join(', ')}</div>
+      ${themes.changed ? '' : `<div class="contrast-note">Forcing the other theme didn't change the palette; the toggle may need JavaScript on this site.</div>`}
+      <div class="theme-variants">
+        ${renderThemeVariant('light', variants.light, themes.current)}
+        ${renderThemeVariant('dark', variants.dark, themes.current)}
+      </div>
+    </div>
+  `;
+
+  const exportHtml = ['light', 'dark']
+    .filter(name => variants[name] && variants[name].colors && !variants[name].colors.error)
+    .map(name => renderTokenExport(name))
+    .join('');
+
+  // Copy button
+  const copyButton = `
+    <div style="text-align: right; margin-top: 1rem;">
+      <button class="button button-secondary copy-button" data-type="themes">
+        Copy Theme Data
+      </button>
+    </div>
+  `;
+
+  return comparisonHtml + exportHtml + copyButton;
+}
+
+const VARIABLE_TYPE_LABELS = {
+  color: 'Colors',
+  length: 'Lengths',
+  font: 'Fonts',
+  shadow: 'Shadows',
+  other: 'Other'
+};
+
+function renderVariables(variables = {}) {
+  if (!variables || typeof variables !== 'object' || variables.error) {
+    return `<div class="card"><div style="color: var(--secondary); padding: 2rem 0; text-align: center;">Variable data not available</div></div>`;
+  }
+
+  const list = variables.variables || [];
+  if (list.length === 0) {
+    return `<div class="card"><div style="color: var(--secondary); padding: 2rem 0; text-align: center;">No CSS custom properties detected</div></div>`;
+  }
+
+  const summaryHtml = `
+    <div class="card">
+      <h2>CSS Custom Properties</h2>
+      <div class="contrast-summary">
+        <div class="contrast-level">
+          <div class="contrast-level-name">Declared</div>
+          <div class="contrast-level-score">${variables.total}</div>
+        </div>
+        <div class="contrast-level">
+          <div class="contrast-level-name">Used</div>
+          <div class="contrast-level-score">${variables.usedCount}</div>
+        </div>
+      </div>
+      ${variables.usageComplete ? '' : `
+        <div class="contrast-note">
+          ${variables.inaccessibleStylesheets} cross-origin stylesheet${variables.inaccessibleStylesheets === 1 ? '' : 's'}
+          could not be read, so some properties may be used without being marked.
+        </div>
+      `}
+      ${list.length < variables.total ? `<div class="contrast-note">Showing the first ${list.length}.</div>` : ''}
+    </div>
+  `;
+
+  const preview = variable => {
+    switch (variable.type) {
+      case 'color':
+        return `<span class="variable-swatch" style="background-color: ${escapeHtml(variable.color || variable.value)}"></span>`;
+      case 'shadow':
+        return `<span class="variable-shadow" style="box-shadow: ${escapeHtml(variable.value)}"></span>`;
+      default:
+        return '';
+    }
+  };
+
+  const groupsHtml = Object.entries(VARIABLE_TYPE_LABELS).map(([type, label]) => {
+    const group = list.filter(variable => variable.type === type);
+    if (group.length === 0) return '';
+
+    return `
+      <div class="card">
+        <h2>${label} <span class="variable-count">${group.length}</span></h2>
+        <div class="variable-list">
+          ${group.map(variable => `
+            <div class="variable-row${variable.used ? '' : ' variable-unused'}"
+              title="${escapeHtml(variable.scopes.map(({ scope, value }) => `${scope}: ${value}`).join('\n'))}">
+              ${preview(variable)}
+              <div class="variable-name">${escapeHtml(variable.name)}</div>
+              <div class="variable-value">${escapeHtml(variable.color || variable.value)}</div>
+              ${variable.used ? '' : '<span class="variable-badge">unused</span>'}
+            </div>
           `).join('')}
         </div>
       </div>
-    `
-    : '';
+    `;
+  }).join('');
 
-  // Create hosting section
-  const hostingHtml = tech.hosting
-    ? `
-      <div class="tech-section">
-        <div class="tech-section-title">Hosting</div>
-        <div class="tech-list">
-          <div class="tech-tag">${tech.hosting}</div>
+  // Copy button
+  const copyButton = `
+    <div style="text-align: right; margin-top: 1rem;">
+      <button class="button button-secondary copy-button" data-type="variables">
+        Copy Variable Data
+      </button>
+    </div>
+  `;
+
+  return summaryHtml + groupsHtml + copyButton;
+}
+
+// Horizontal frequency bars; `preview` renders an optional sample for each entry
+function renderFrequencyBars(entries, preview, formatCount = count => count) {
+  const max = Math.max(...entries.map(entry => entry.count));
+  return `
+    <div class="frequency-bars">
+      ${entries.map(entry => `
+        <div class="frequency-row" title="${escapeHtml(entry.value)}: ${formatCount(entry.count)}">
+          ${preview ? preview(entry) : ''}
+          <div class="frequency-label">${escapeHtml(entry.value)}</div>
+          <div class="frequency-track">
+            <div class="frequency-bar" style="width: ${Math.max(2, Math.round((entry.count / max) * 100))}%"></div>
+          </div>
+          <div class="frequency-count">${formatCount(entry.count)}</div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+function renderLayout(layout = {}) {
+  if (!layout || typeof layout !== 'object' || layout.error) {
+    return `<div class="card"><div style="color: var(--secondary); padding: 2rem 0; text-align: center;">Layout data not available</div></div>`;
+  }
+
+  const baseUnit = layout.baseUnit || {};
+  const candidates = baseUnit.candidates || {};
+  const gridHtml = `
+    <div class="card">
+      <h2>Spacing Grid</h2>
+      <div class="contrast-summary">
+        <div class="contrast-level">
+          <div class="contrast-level-name">Base unit</div>
+          <div class="contrast-level-score">${baseUnit.unit ? `${baseUnit.unit}px` : 'None'}</div>
         </div>
+        <div class="contrast-level">
+          <div class="contrast-level-name">On 4px grid</div>
+          <div class="contrast-level-score">${Math.round((candidates[4] || 0) * 100)}%</div>
+        </div>
+        <div class="contrast-level">
+          <div class="contrast-level-name">On 8px grid</div>
+          <div class="contrast-level-score">${Math.round((candidates[8] || 0) * 100)}%</div>
+        </div>
+      </div>
+      <div class="contrast-note">${layout.elementsAnalyzed || 0} visible elements analyzed</div>
+      ${renderSamplingNote(layout.sampling)}
+    </div>
+  `;
+
+  const scaleCard = (title, entries, preview) => entries && entries.length > 0
+    ? `
+      <div class="card">
+        <h2>${title}</h2>
+        ${renderFrequencyBars(entries, preview)}
       </div>
     `
     : '';
 
-  // Create analytics section
-  const analyticsHtml = tech.analytics && tech.analytics.length > 0
+  const spacingHtml = scaleCard('Spacing Scale', layout.spacing, entry => `
+    <div class="layout-preview"><div class="spacing-preview" style="width: ${Math.min(entry.px, 48)}px"></div></div>
+  `);
+  const radiusHtml = scaleCard('Border Radius', layout.radii, entry => `
+    <div class="layout-preview"><div class="radius-preview" style="border-radius: ${entry.percent ? `${entry.percent}%` : `${Math.min(entry.px, 12)}px`}"></div></div>
+  `);
+  const shadowHtml = scaleCard('Shadows', layout.shadows, entry => `
+    <div class="layout-preview"><div class="shadow-preview" style="box-shadow: ${escapeHtml(entry.value)}"></div></div>
+  `);
+  const zIndexHtml = scaleCard('Z-Index Layers', (layout.zIndices || []).map(entry => ({ ...entry, value: String(entry.value) })));
+
+  const emptyState = !spacingHtml && !radiusHtml && !shadowHtml && !zIndexHtml
+    ? `<div class="card"><div style="color: var(--secondary); padding: 2rem 0; text-align: center;">No layout data detected</div></div>`
+    : '';
+
+  // Copy button
+  const copyButton = `
+    <div style="text-align: right; margin-top: 1rem;">
+      <button class="button button-secondary copy-button" data-type="layout">
+        Copy Layout Data
+      </button>
+    </div>
+  `;
+
+  return gridHtml + (emptyState || (spacingHtml + radiusHtml + shadowHtml + zIndexHtml)) + copyButton;
+}
+
+// Runs in the page: scroll to the element and flash an outline over it. Selectors of elements
+// in open shadow roots are host selectors joined by ' >>> ', resolved one shadow root at a time.
+function highlightElementInPage(selector) {
+  let el = null;
+  try {
+    el = selector.split(' >>> ').reduce((root, part) => {
+      const scope = root === document ? document : root && root.shadowRoot;
+      return scope ? scope.querySelector(part) : null;
+    }, document);
+  } catch (e) {
+    return false;
+  }
+  if (!el) return false;
+
+  el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+  const outline = document.createElement('div');
+  outline.style.cssText = 'position: fixed; pointer-events: none; z-index: 2147483647; ' +
+    'border: 3px solid #dc3545; border-radius: 3px; box-shadow: 0 0 0 4px rgba(220, 53, 69, 0.3); ' +
+    'transition: opacity 0.3s;';
+  document.documentElement.appendChild(outline);
+
+  // Track the element while smooth scrolling settles
+  const position = () => {
+    const rect = el.getBoundingClientRect();
+    outline.style.top = `${rect.top - 3}px`;
+    outline.style.left = `${rect.left - 3}px`;
+    outline.style.width = `${rect.width + 6}px`;
+    outline.style.height = `${rect.height + 6}px`;
+  };
+  position();
+  const interval = setInterval(position, 50);
+
+  setTimeout(() => {
+    clearInterval(interval);
+    outline.style.opacity = '0';
+    setTimeout(() => outline.remove(), 300);
+  }, 2000);
+
+  return true;
+}
+
+function renderAccessibility(audit = {}) {
+  if (!audit || typeof audit !== 'object' || audit.error) {
+    return `<div class="card"><div style="color: var(--secondary); padding: 2rem 0; text-align: center;">Accessibility data not available</div></div>`;
+  }
+
+  if (!audit.total) {
+    return `<div class="card"><div style="color: var(--secondary); padding: 2rem 0; text-align: center;">No text elements found to audit</div></div>`;
+  }
+
+  const percent = count => Math.round((count / audit.total) * 100);
+
+  const summaryHtml = `
+    <div class="card">
+      <h2>Text Contrast</h2>
+      <div class="contrast-summary">
+        ${['aa', 'aaa'].map(level => `
+          <div class="contrast-level">
+            <div class="contrast-level-name">WCAG ${level.toUpperCase()}</div>
+            <div class="contrast-level-score">${percent(audit[level].pass)}%</div>
+            <div class="contrast-level-counts">
+              ${audit[level].pass} pass · ${audit[level].fail} fail
+            </div>
+          </div>
+        `).join('')}
+      </div>
+      <div class="contrast-note">
+        ${audit.total} text elements checked${audit.skipped ? `, ${audit.skipped} skipped (image or gradient backgrounds)` : ''}
+      </div>
+      ${renderSamplingNote(audit.sampling)}
+    </div>
+  `;
+
+  const worstHtml = audit.worst && audit.worst.length > 0
     ? `
-      <div class="tech-section">
-        <div class="tech-section-title">Analytics</div>
-        <div class="tech-list">
-          ${tech.analytics.map(tool => `
-            <div class="tech-tag">${tool}</div>
+      <div class="card">
+        <h2>Lowest Contrast Pairs</h2>
+        <div class="contrast-pairs">
+          ${audit.worst.map(pair => `
+            <div class="contrast-pair" data-selector="${escapeHtml(pair.selector)}"
+              ${pair.frameId !== undefined ? `data-frame-id="${pair.frameId}"` : ''} title="Click to highlight on the page">
+              <div class="contrast-preview" style="color: ${pair.color}; background-color: ${pair.background}">Aa</div>
+              <div class="contrast-details">
+                <div class="contrast-colors">${pair.color} on ${pair.background}${pair.large ? ' · large' : ''}</div>
+                <div class="contrast-selector">${escapeHtml(pair.selector)}</div>
+                ${describeOrigin(pair) ? `<div class="origin-note">${escapeHtml(describeOrigin(pair))}</div>` : ''}
+              </div>
+              <div class="contrast-ratio">
+                ${pair.ratio}:1
+                <span class="contrast-badge ${pair.aa ? 'pass' : 'fail'}">${pair.aa ? (pair.aaa ? 'AAA' : 'AA') : 'Fail'}</span>
+              </div>
+            </div>
           `).join('')}
         </div>
       </div>
     `
     : '';
 
-  // Create tools section
-  const toolsHtml = tech.tools && tech.tools.length > 0
-    ? `
+  // Copy button
+  const copyButton = `
+    <div style="text-align: right; margin-top: 1rem;">
+      <button class="button button-secondary copy-button" data-type="accessibility">
+        Copy Accessibility Data
+      </button>
+    </div>
+  `;
+
+  return summaryHtml + worstHtml + copyButton;
+}
+
+// Page-derived strings (selectors, text samples) must not be parsed as markup
+// Where a result came from when it isn't the top page's light DOM: a web component and/or a frame
+function describeOrigin({ component, frame } = {}) {
+  const parts = [];
+  if (component) parts.push(`in <${component}>`);
+  if (frame) {
+    try {
+      const url = new URL(frame);
+      parts.push(`in frame ${url.pathname === '/' ? url.host : url.host + url.pathname}`);
+    } catch (e) {
+      parts.push('in frame');
+    }
+  }
+  return parts.join(' ');
+}
+
+// Badge for a text length against the range search results display comfortably
+function lengthBadge(text, min, max) {
+  if (!text) return '<span class="contrast-badge fail">Missing</span>';
+  const status = text.length >= min && text.length <= max ? 'pass' : 'warn';
+  return `<span class="contrast-badge ${status}">${text.length} chars</span>`;
+}
+
+function renderMetaRow(label, value, badge = '') {
+  return `
+    <div class="meta-row">
+      <div class="meta-label">${label}</div>
+      <div class="meta-value">${value === null || value === undefined || value === '' ? '<span class="meta-missing">Not set</span>' : escapeHtml(value)}</div>
+      ${badge}
+    </div>
+  `;
+}
+
+function renderMeta(meta = {}) {
+  if (!meta || typeof meta !== 'object' || meta.error) {
+    return `<div class="card"><div style="color: var(--secondary); padding: 2rem 0; text-align: center;">Metadata not available</div></div>`;
+  }
+
+  const search = meta.search || {};
+  const searchHtml = `
+    <div class="card">
+      <h2>Search</h2>
+      ${renderMetaRow('Title', search.title, lengthBadge(search.title, 30, 60))}
+      ${renderMetaRow('Description', search.description, lengthBadge(search.description, 50, 160))}
+      ${renderMetaRow('Canonical', search.canonical, search.canonical && !search.canonicalIsSelf
+    ? '<span class="contrast-badge warn">Other URL</span>'
+    : '')}
+      ${renderMetaRow('Robots', [search.robots, search.xRobotsTag && `X-Robots-Tag: ${search.xRobotsTag}`].filter(Boolean).join(' · '),
+    search.noindex ? '<span class="contrast-badge fail">noindex</span>' : '')}
+      ${renderMetaRow('Language', search.lang)}
+      ${renderMetaRow('Viewport', search.viewport)}
+      ${search.hreflang && search.hreflang.length ? renderMetaRow('hreflang',
+    search.hreflang.map(link => link.lang).join(', ')) : ''}
+    </div>
+  `;
+
+  const social = meta.social || {};
+  const preview = social.preview || {};
+  const tagRows = tags => Object.entries(tags || {})
+    .map(([key, value]) => renderMetaRow(escapeHtml(key), value))
+    .join('');
+  const socialHtml = `
+    <div class="card">
+      <h2>Social Preview</h2>
+      <div class="social-card${preview.card === 'summary' ? ' social-card-summary' : ''}">
+        ${preview.image
+    ? `<div class="social-card-image" style="background-image: url('${escapeHtml(preview.image)}')"></div>`
+    : '<div class="social-card-image social-card-placeholder">No image</div>'}
+        <div class="social-card-body">
+          <div class="social-card-site">${escapeHtml(preview.site || '')}</div>
+          <div class="social-card-title">${escapeHtml(preview.title || '')}</div>
+          <div class="social-card-description">${escapeHtml(preview.description || '')}</div>
+        </div>
+      </div>
+      ${social.missing && social.missing.length
+    ? `<div class="contrast-note">Missing: ${social.missing.map(key => `<code>${key}</code>`).join(', ')}</div>`
+    : ''}
+      ${Object.keys(social.openGraph || {}).length ? `
+        <div class="tech-section meta-tags">
+          <div class="tech-section-title">Open Graph</div>
+          ${tagRows(social.openGraph)}
+        </div>
+      ` : ''}
+      ${Object.keys(social.twitter || {}).length ? `
+        <div class="tech-section meta-tags">
+          <div class="tech-section-title">Twitter Card</div>
+          ${tagRows(social.twitter)}
+        </div>
+      ` : ''}
+    </div>
+  `;
+
+  const structured = meta.structuredData || {};
+  const items = structured.items || [];
+  const structuredHtml = `
+    <div class="card">
+      <h2>Structured Data</h2>
+      ${items.length === 0 && !(structured.errors || []).length
+    ? '<div class="contrast-note">No JSON-LD or microdata found.</div>'
+    : ''}
+      ${(structured.errors || []).map(error => `
+        <div class="meta-row"><span class="contrast-badge fail">Invalid</span><div class="meta-value">${escapeHtml(error)}</div></div>
+      `).join('')}
+      ${items.map(item => `
+        <div class="meta-row" title="${escapeHtml(item.properties.join(', '))}">
+          <div class="meta-label">${escapeHtml(item.format)}</div>
+          <div class="meta-value">
+            ${escapeHtml(item.type)}
+            ${item.missing.length ? `<div class="meta-missing">Missing ${item.missing.map(escapeHtml).join(', ')}</div>` : ''}
+          </div>
+          ${item.validated
+    ? `<span class="contrast-badge ${item.missing.length ? 'warn' : 'pass'}">${item.missing.length ? 'Incomplete' : 'Valid'}</span>`
+    : ''}
+        </div>
+      `).join('')}
+    </div>
+  `;
+
+  const headings = meta.headings || {};
+  const outlineHtml = `
+    <div class="card">
+      <h2>Heading Outline</h2>
+      ${(headings.issues || []).length
+    ? `<div class="contrast-note">${headings.issues.slice(0, 5).map(escapeHtml).join(' · ')}${headings.issues.length > 5 ? ` · +${headings.issues.length - 5} more` : ''}</div>`
+    : headings.total ? '<div class="contrast-note">Heading levels are in order.</div>' : ''}
+      <div class="heading-outline">
+        ${(headings.outline || []).map(heading => `
+          <div class="contrast-pair outline-item" data-selector="${escapeHtml(heading.selector)}" style="padding-left: ${(heading.level - 1) * 12}px" title="Click to highlight on the page">
+            <span class="heading-tag">h${heading.level}</span>
+            <span class="outline-text">${escapeHtml(heading.text) || '<span class="meta-missing">(empty)</span>'}</span>
+            ${heading.issues.length ? `<span class="contrast-badge warn">${escapeHtml(heading.issues.join(', '))}</span>` : ''}
+          </div>
+        `).join('')}
+      </div>
+      ${!headings.total ? '<div class="contrast-note">No headings found.</div>' : ''}
+    </div>
+  `;
+
+  const images = meta.images || {};
+  const coverageStatus = images.coverage === null ? '' : images.coverage === 100 ? 'pass' : images.coverage >= 90 ? 'warn' : 'fail';
+  const imagesHtml = `
+    <div class="card">
+      <h2>Image Alt Text</h2>
+      <div class="contrast-summary">
+        <div class="contrast-level">
+          <div class="contrast-level-name">Coverage</div>
+          <div class="contrast-level-score">
+            ${images.coverage === null ? 'N/A' : `<span class="contrast-badge ${coverageStatus}">${images.coverage}%</span>`}
+          </div>
+        </div>
+        <div class="contrast-level">
+          <div class="contrast-level-name">With alt</div>
+          <div class="contrast-level-score">${images.withAlt || 0}</div>
+        </div>
+        <div class="contrast-level">
+          <div class="contrast-level-name">Decorative</div>
+          <div class="contrast-level-score">${images.decorative || 0}</div>
+        </div>
+        <div class="contrast-level">
+          <div class="contrast-level-name">Missing</div>
+          <div class="contrast-level-score">${images.missing || 0}</div>
+        </div>
+      </div>
+      ${(images.missingSamples || []).map(image => `
+        <div class="contrast-pair" data-selector="${escapeHtml(image.selector)}" title="Click to highlight on the page">
+          <div class="contrast-details">
+            <div class="contrast-selector">${escapeHtml(image.src || '(no src)')}</div>
+            <div class="contrast-selector">${escapeHtml(image.selector)}</div>
+          </div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+
+  // Copy button
+  const copyButton = `
+    <div style="text-align: right; margin-top: 1rem;">
+      <button class="button button-secondary copy-button" data-type="meta">
+        Copy Metadata
+      </button>
+    </div>
+  `;
+
+  return searchHtml + socialHtml + structuredHtml + outlineHtml + imagesHtml + copyButton;
+}
+
+function renderTechnologies(tech = {}) {
+  if (!tech || typeof tech !== 'object') {
+    return `<div class="card"><div style="color: var(--secondary); padding: 2rem 0; text-align: center;">Technology data not available</div></div>`;
+  }
+
+  // One section per signature category, most confident detections first
+  const sectionsHtml = Object.entries(CATEGORY_LABELS)
+    .filter(([category]) => Array.isArray(tech[category]) && tech[category].length > 0)
+    .map(([category, label]) => `
       <div class="tech-section">
-        <div class="tech-section-title">Tools</div>
+        <div class="tech-section-title">${label}</div>
         <div class="tech-list">
-          ${tech.tools.map(tool => `
-            <div class="tech-tag">${tool}</div>
+          ${tech[category].map(item => `
+            <div class="tech-tag" title="${escapeHtml((item.evidence || []).join('\n'))}">
+              ${escapeHtml(item.name)}${item.version ? ` <span class="tech-version">${escapeHtml(item.version)}</span>` : ''}
+              <span class="tech-confidence">${item.confidence}%</span>
+            </div>
           `).join('')}
         </div>
       </div>
-    `
-    : '';
+    `)
+    .join('');
 
   // If there are no technologies detected
-  const emptyHtml = !frameworksHtml && !librariesHtml && !hostingHtml && !analyticsHtml && !toolsHtml
+  const emptyHtml = !sectionsHtml
     ? `<div style="color: var(--secondary); padding: 2rem 0; text-align: center;">No technologies detected.</div>`
     : '';
 
@@ -558,13 +2027,332 @@ function renderTechnologies(tech = {}) {
 
   return `
     <div class="card">
-      ${frameworksHtml}
-      ${librariesHtml}
-      ${hostingHtml}
-      ${analyticsHtml}
-      ${toolsHtml}
+      ${sectionsHtml}
       ${emptyHtml}
     </div>
     ${copyButton}
   `;
 }
+
+const THIRD_PARTY_CATEGORY_LABELS = {
+  analytics: 'Analytics',
+  ads: 'Advertising',
+  'tag-manager': 'Tag Managers',
+  chat: 'Chat & Support',
+  'ab-testing': 'A/B Testing',
+  consent: 'Consent',
+  monitoring: 'Monitoring',
+  payments: 'Payments',
+  media: 'Media',
+  security: 'Bot Protection',
+  cdn: 'Public CDNs',
+  other: 'Unrecognized'
+};
+
+function renderThirdParties(thirdParties = {}) {
+  if (!thirdParties || typeof thirdParties !== 'object' || thirdParties.error) {
+    return `<div class="card"><div style="color: var(--secondary); padding: 2rem 0; text-align: center;">Third-party data not available</div></div>`;
+  }
+
+  const domains = thirdParties.domains || [];
+  if (domains.length === 0) {
+    return `
+      <div class="card">
+        <h2>Third Parties</h2>
+        <div class="contrast-note">No third-party scripts detected.</div>
+      </div>
+    `;
+  }
+
+  // Loading strategy counts for a domain, blocking first since that's what hurts
+  const loadingBadges = scripts => ['blocking', 'async', 'defer', 'injected']
+    .map(loading => [loading, scripts.filter(script => script.loading === loading).length])
+    .filter(([, count]) => count > 0)
+    .map(([loading, count]) => `
+      <span class="contrast-badge ${loading === 'blocking' ? 'fail' : 'pass'}">${count} ${loading}</span>
+    `)
+    .join('');
+
+  const sectionsHtml = Object.entries(THIRD_PARTY_CATEGORY_LABELS)
+    .map(([category, label]) => [label, domains.filter(group => group.category === category)])
+    .filter(([, groups]) => groups.length > 0)
+    .map(([label, groups]) => `
+      <div class="tech-section">
+        <div class="tech-section-title">${label}</div>
+        ${groups.map(group => `
+          <div class="third-party" title="${escapeHtml(group.scripts.map(script => script.url).join('\n'))}">
+            <div class="third-party-name">
+              ${escapeHtml(group.vendor || group.domain)}
+              ${group.vendor ? `<span class="third-party-domain">${escapeHtml(group.domain)}</span>` : ''}
+            </div>
+            <div class="third-party-meta">
+              ${group.scripts.length} script${group.scripts.length === 1 ? '' : 's'}
+              ${group.bytes ? ` · ${formatBytes(group.bytes)}` : ''}
+            </div>
+            <div class="third-party-loading">${loadingBadges(group.scripts)}</div>
+          </div>
+        `).join('')}
+      </div>
+    `)
+    .join('');
+
+  // Copy button
+  const copyButton = `
+    <div style="text-align: right; margin-top: 1rem;">
+      <button class="button button-secondary copy-button" data-type="thirdParties">
+        Copy Third-party Data
+      </button>
+    </div>
+  `;
+
+  return `
+    <div class="card">
+      <h2>Third Parties</h2>
+      <div class="contrast-summary">
+        <div class="contrast-level">
+          <div class="contrast-level-name">Domains</div>
+          <div class="contrast-level-score">${domains.length}</div>
+        </div>
+        <div class="contrast-level">
+          <div class="contrast-level-name">Scripts</div>
+          <div class="contrast-level-score">${thirdParties.scriptCount}</div>
+        </div>
+        <div class="contrast-level">
+          <div class="contrast-level-name">Size</div>
+          <div class="contrast-level-score">${formatBytes(thirdParties.totalBytes)}</div>
+        </div>
+      </div>
+      ${thirdParties.blocking ? `
+        <div class="contrast-note">
+          ${thirdParties.blocking} script${thirdParties.blocking === 1 ? '' : 's'} block${thirdParties.blocking === 1 ? 's' : ''} parsing (no async or defer).
+        </div>
+      ` : ''}
+      ${sectionsHtml}
+    </div>
+    ${copyButton}
+  `;
+}
+
+function renderSecurity(security = {}) {
+  if (!security || typeof security !== 'object' || security.error) {
+    return `<div class="card"><div style="color: var(--secondary); padding: 2rem 0; text-align: center;">Security data not available</div></div>`;
+  }
+
+  const statusLabels = { pass: 'Pass', warn: 'Warn', fail: 'Fail' };
+
+  const headersHtml = security.grade
+    ? `
+      <div class="card">
+        <h2>Security Headers</h2>
+        <div class="security-grade-row">
+          <div class="security-grade grade-${security.grade.toLowerCase()}">${security.grade}</div>
+          <div class="contrast-note">
+            Score ${security.score}/100${security.headersSource === 'fetch' ? ' · headers re-requested, reload the page for exact values' : ''}
+          </div>
+        </div>
+        <div class="security-checks">
+          ${security.headers.map(check => `
+            <div class="security-check">
+              <span class="contrast-badge ${check.status}">${statusLabels[check.status]}</span>
+              <div class="security-check-details">
+                <div class="security-check-name">${check.name}</div>
+                <div class="security-check-note">${escapeHtml(check.note)}</div>
+                ${check.value ? `<div class="security-check-value" title="${escapeHtml(check.value)}">${escapeHtml(check.value)}</div>` : ''}
+              </div>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `
+    : `
+      <div class="card">
+        <h2>Security Headers</h2>
+        <div class="contrast-note">Response headers are not available for this page. Reload it and analyze again.</div>
+      </div>
+    `;
+
+  // Each hygiene finding lists a capped sample alongside the full count
+  const findingHtml = (title, count, items, description) => `
+    <div class="security-finding">
+      <div class="security-finding-title">
+        <span class="contrast-badge ${count > 0 ? 'fail' : 'pass'}">${count}</span>
+        ${title}
+      </div>
+      <div class="security-check-note">${description}</div>
+      ${items.length > 0 ? `
+        <ul class="security-finding-list">
+          ${items.map(item => `<li title="${escapeHtml(item)}">${escapeHtml(item)}</li>`).join('')}
+        </ul>
+      ` : ''}
+    </div>
+  `;
+
+  const hygieneHtml = `
+    <div class="card">
+      <h2>Page Hygiene</h2>
+      ${findingHtml('Mixed content', security.mixedContentCount || 0,
+        (security.mixedContent || []).map(item => `${item.source}: ${item.url}`),
+        'HTTP subresources on an HTTPS page')}
+      ${findingHtml('Third-party scripts without SRI', security.scriptsWithoutSriCount || 0,
+        security.scriptsWithoutSri || [],
+        'External scripts loaded without an integrity attribute')}
+      ${findingHtml('target="_blank" without noopener', security.unsafeBlankLinksCount || 0,
+        (security.unsafeBlankLinks || []).map(link => link.href || link.selector),
+        'Links that open new tabs without rel="noopener"')}
+    </div>
+  `;
+
+  // Copy button
+  const copyButton = `
+    <div style="text-align: right; margin-top: 1rem;">
+      <button class="button button-secondary copy-button" data-type="security">
+        Copy Security Data
+      </button>
+    </div>
+  `;
+
+  return headersHtml + hygieneHtml + copyButton;
+}
+
+const VITALS = [
+  ['lcp', 'LCP', 'Largest Contentful Paint'],
+  ['inp', 'INP', 'Interaction to Next Paint'],
+  ['cls', 'CLS', 'Cumulative Layout Shift'],
+  ['fcp', 'FCP', 'First Contentful Paint'],
+  ['ttfb', 'TTFB', 'Time to First Byte']
+];
+
+const VITAL_RATINGS = {
+  good: { label: 'Good', status: 'pass' },
+  'needs-improvement': { label: 'Needs work', status: 'warn' },
+  poor: { label: 'Poor', status: 'fail' }
+};
+
+const RESOURCE_TYPE_LABELS = {
+  document: 'HTML',
+  script: 'JS',
+  stylesheet: 'CSS',
+  font: 'Fonts',
+  image: 'Images',
+  fetch: 'XHR/Fetch',
+  other: 'Other'
+};
+
+function formatMs(ms) {
+  return ms >= 1000 ? `${Math.round(ms / 10) / 100} s` : `${ms} ms`;
+}
+
+function renderPerformance(performance = {}) {
+  if (!performance || typeof performance !== 'object' || performance.error) {
+    return `<div class="card"><div style="color: var(--secondary); padding: 2rem 0; text-align: center;">Performance data not available</div></div>`;
+  }
+
+  const vitals = performance.vitals || {};
+  const vitalsHtml = `
+    <div class="card">
+      <h2>Core Web Vitals</h2>
+      <div class="vitals-grid">
+        ${VITALS.map(([key, label, name]) => {
+    const metric = vitals[key] || {};
+    const rating = VITAL_RATINGS[metric.rating];
+    const value = metric.value === null || metric.value === undefined
+      ? 'N/A'
+      : key === 'cls' ? metric.value : formatMs(metric.value);
+    return `
+            <div class="vital" title="${name}">
+              <div class="contrast-level-name">${label}</div>
+              <div class="vital-value">${value}</div>
+              ${rating ? `<span class="contrast-badge ${rating.status}">${rating.label}</span>` : ''}
+            </div>
+          `;
+  }).join('')}
+      </div>
+      <div class="contrast-note">
+        Measured in this tab for this page load.
+        ${performance.interactions
+    ? `INP covers ${performance.interactions} slow interaction${performance.interactions === 1 ? '' : 's'} so far.`
+    : 'Interact with the page and re-analyze to measure INP.'}
+      </div>
+    </div>
+  `;
+
+  const lcpElement = performance.lcpElement;
+  const lcpHtml = lcpElement
+    ? `
+      <div class="card">
+        <h2>LCP Element</h2>
+        <div class="contrast-pair" data-selector="${escapeHtml(lcpElement.selector)}" title="Click to highlight on the page">
+          <div class="contrast-details">
+            <div class="contrast-colors"><code>&lt;${escapeHtml(lcpElement.tag)}&gt;</code> ${escapeHtml(lcpElement.text || '')}</div>
+            ${lcpElement.url ? `<div class="contrast-selector" title="${escapeHtml(lcpElement.url)}">${escapeHtml(lcpElement.url)}</div>` : ''}
+            <div class="contrast-selector">${escapeHtml(lcpElement.selector)}</div>
+          </div>
+        </div>
+      </div>
+    `
+    : '';
+
+  const requests = performance.requests || {};
+  const dom = performance.dom || {};
+  const timing = performance.timing || {};
+  const typeEntries = Object.entries(requests.byType || {})
+    .sort((a, b) => b[1].bytes - a[1].bytes)
+    .map(([type, stats]) => ({ value: `${RESOURCE_TYPE_LABELS[type] || type} (${stats.count})`, count: stats.bytes }));
+  const byParty = requests.byParty || {};
+  const partyEntries = [['first', 'First party'], ['third', 'Third party']]
+    .filter(([party]) => byParty[party] && byParty[party].count > 0)
+    .map(([party, label]) => ({ value: `${label} (${byParty[party].count})`, count: byParty[party].bytes }));
+
+  const weightHtml = `
+    <div class="card">
+      <h2>Page Weight</h2>
+      <div class="contrast-summary">
+        <div class="contrast-level">
+          <div class="contrast-level-name">Requests</div>
+          <div class="contrast-level-score">${requests.count || 0}</div>
+        </div>
+        <div class="contrast-level">
+          <div class="contrast-level-name">Size</div>
+          <div class="contrast-level-score">${formatBytes(requests.transferSize)}</div>
+        </div>
+        <div class="contrast-level">
+          <div class="contrast-level-name">DOM elements</div>
+          <div class="contrast-level-score">${dom.elements || 0}</div>
+        </div>
+      </div>
+      <div class="contrast-note">
+        DOM depth ${dom.maxDepth || 0}
+        ${timing.domContentLoaded ? ` · DOMContentLoaded ${formatMs(timing.domContentLoaded)}` : ''}
+        ${timing.load ? ` · Load ${formatMs(timing.load)}` : ''}
+      </div>
+      ${requests.sizeUnknown ? `
+        <div class="contrast-note">
+          ${requests.sizeUnknown} cross-origin request${requests.sizeUnknown === 1 ? '' : 's'} hide${requests.sizeUnknown === 1 ? 's' : ''} their size, so totals are a lower bound.
+        </div>
+      ` : ''}
+      ${typeEntries.length ? `
+        <div class="tech-section performance-breakdown">
+          <div class="tech-section-title">By Type</div>
+          ${renderFrequencyBars(typeEntries, null, formatBytes)}
+        </div>
+      ` : ''}
+      ${partyEntries.length ? `
+        <div class="tech-section performance-breakdown">
+          <div class="tech-section-title">By Party</div>
+          ${renderFrequencyBars(partyEntries, null, formatBytes)}
+        </div>
+      ` : ''}
+    </div>
+  `;
+
+  // Copy button
+  const copyButton = `
+    <div style="text-align: right; margin-top: 1rem;">
+      <button class="button button-secondary copy-button" data-type="performance">
+        Copy Performance Data
+      </button>
+    </div>
+  `;
+
+  return vitalsHtml + lcpHtml + weightHtml + copyButton;
+}
@@ -0,0 +1,21 @@
+// Print view for style guide reports: shows the report the popup left in session storage and
+// opens the print dialog, so it can be saved as a PDF
+import { PRINT_REPORT_KEY } from './report';
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const { [PRINT_REPORT_KEY]: html } = await chrome.storage.session.get(PRINT_REPORT_KEY);
+  if (!html) {
+    document.getElementById('root').textContent = 'No report to print. Generate one from the popup first.';
+    return;
+  }
+
+  // The report is a complete document; its styles and content replace this page's
+  const report = new DOMParser().parseFromString(html, 'text/html');
+  document.title = report.title;
+  document.head.append(...report.head.querySelectorAll('style'));
+  document.body.replaceChildren(...report.body.childNodes);
+
+  // Specimens should print in their own fonts where the browser has them
+  await document.fonts.ready;
+  window.print();
+});
@@ -0,0 +1,308 @@
+// Style guide reports: an analysis as a document clients can read, in HTML or Markdown
+import { parseHex, toHsl } from './color-utils';
+import { escapeHtml } from './html-utils';
+import { CATEGORY_LABELS } from './signatures';
+import TECH_ICONS from './tech-icons.json';
+
+export const REPORT_FORMATS = {
+  html: { label: 'HTML', extension: 'html', mimeType: 'text/html' },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' }
+};
+
+// Where the popup leaves a report for the print page to pick up
+export const PRINT_REPORT_KEY = 'printReport';
+
+const COLOR_ROLES = [['background', 'Background'], ['text', 'Text'], ['accent', 'Accent'], ['link', 'Link']];
+const SPECIMEN_TEXT = 'The quick brown fox jumps over the lazy dog';
+
+// Hex as analyzed, plus RGB and HSL for whoever picks colors in other tools
+function describeColor(hex) {
+  const channels = parseHex(hex);
+  if (!channels) return { hex, rgb: '', hsl: '' };
+
+  const { r, g, b, a } = channels;
+  const { h, s, l } = toHsl(channels);
+  return {
+    hex,
+    rgb: a < 1 ? `rgba(${r}, ${g}, ${b}, ${a})` : `rgb(${r}, ${g}, ${b})`,
+    hsl: a < 1 ? `hsla(${h}, ${s}%, ${l}%, ${a})` : `hsl(${h}, ${s}%, ${l}%)`
+  };
+}
+
+// The report's content, independent of the output format
+function buildReportModel(data) {
+  const colors = data.colors && !data.colors.error ? data.colors : {};
+  const typography = data.typography && !data.typography.error ? data.typography : {};
+  const technologies = data.technologies && !data.technologies.error ? data.technologies : {};
+
+  const specimens = Object.entries(typography.headings || {})
+    .map(([level, style]) => ({ name: level, label: `Heading ${level.slice(1)}`, style }));
+  if (typography.body) {
+    specimens.push({ name: 'body', label: 'Body', style: typography.body });
+  }
+
+  return {
+    title: data.title || (data.url ? new URL(data.url).hostname : 'Untitled page'),
+    url: data.url || '',
+    analyzedAt: data.timestamp ? new Date(data.timestamp).toLocaleString() : '',
+    roles: COLOR_ROLES
+      .filter(([role]) => colors[role] && colors[role].color)
+      .map(([role, label]) => ({ label, ...describeColor(colors[role].color), variables: colors[role].variables || [] })),
+    palette: (colors.all || [])
+      .filter(item => item.color)
+      .map(item => ({ ...describeColor(item.color), count: item.count, variables: item.variables || [] })),
+    fontFamilies: typography.fontFamilies || [],
+    typeScale: typography.typeScale || null,
+    specimens,
+    stack: Object.entries(CATEGORY_LABELS)
+      .filter(([category]) => Array.isArray(technologies[category]) && technologies[category].length > 0)
+      .map(([category, label]) => ({
+        label,
+        items: technologies[category].map(item => (typeof item === 'string' ? { name: item } : item))
+      }))
+  };
+}
+
+// Built-in technologies get their logo as inline SVG, so the file stays self-contained;
+// anything else (custom signatures, vendors) gets a monogram badge
+function techIcon(name) {
+  const logo = TECH_ICONS[name];
+  if (logo) {
+    return `<span class="tech-icon tech-logo" aria-hidden="true">
+      <svg viewBox="0 0 24 24" width="18" height="18"><path fill="${logo.color}" d="${logo.path}"/></svg>
+    </span>`;
+  }
+
+  const initials = name.replace(/[^A-Za-z0-9 .]/g, '').split(/[\s.]+/).filter(Boolean)
+    .slice(0, 2).map(word => word[0]).join('').toUpperCase() || '?';
+  const hue = [...name].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) % 360, 0);
+  return `<span class="tech-icon" style="background-color: hsl(${hue}, 55%, 42%)" aria-hidden="true">${escapeHtml(initials)}</span>`;
+}
+
+const REPORT_CSS = `
+  * { box-sizing: border-box; }
+  body { font-family: system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif; color: #212529; margin: 0; background: #f8f9fa; }
+  main { max-width: 880px; margin: 0 auto; padding: 40px 32px; background: #ffffff; }
+  header { border-bottom: 2px solid #212529; padding-bottom: 16px; margin-bottom: 32px; }
+  h1 { font-size: 2rem; margin: 0 0 4px; }
+  h2 { font-size: 1.25rem; margin: 32px 0 16px; padding-bottom: 6px; border-bottom: 1px solid #dee2e6; }
+  h3 { font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.05em; color: #6c757d; margin: 20px 0 8px; }
+  .meta { color: #6c757d; font-size: 0.85rem; }
+  .meta a { color: inherit; }
+  code { font-family: SFMono-Regular, Menlo, Monaco, Consolas, monospace; font-size: 0.8rem; }
+  .swatches { display: grid; grid-template-columns: repeat(auto-fill, minmax(180px, 1fr)); gap: 16px; }
+  .swatch { border: 1px solid #dee2e6; border-radius: 8px; overflow: hidden; break-inside: avoid; }
+  .swatch-color { height: 72px; border-bottom: 1px solid #dee2e6; }
+  .swatch-info { padding: 8px 10px; font-size: 0.8rem; line-height: 1.5; }
+  .swatch-name { font-weight: 600; }
+  .swatch-info code { display: block; }
+  .swatch-variables { color: #6c757d; }
+  .families { display: flex; flex-wrap: wrap; gap: 8px 24px; font-size: 1.25rem; }
+  .specimen { display: grid; grid-template-columns: 140px 1fr; gap: 16px; padding: 16px 0; border-bottom: 1px solid #dee2e6; break-inside: avoid; }
+  .specimen:last-child { border-bottom: none; }
+  .specimen-label { font-weight: 600; font-size: 0.85rem; }
+  .specimen-props { color: #6c757d; font-size: 0.75rem; line-height: 1.6; }
+  .specimen-sample { overflow-wrap: anywhere; }
+  .stack { display: flex; flex-wrap: wrap; gap: 8px; }
+  .tech { display: inline-flex; align-items: center; gap: 8px; border: 1px solid #dee2e6; border-radius: 6px; padding: 6px 10px 6px 6px; font-size: 0.9rem; break-inside: avoid; }
+  .tech-icon { display: inline-flex; align-items: center; justify-content: center; width: 28px; height: 28px; border-radius: 6px; color: #ffffff; font-size: 0.7rem; font-weight: 700; }
+  .tech-logo { background: #f1f3f5; }
+  .tech-version { color: #6c757d; font-size: 0.8rem; }
+  .empty { color: #6c757d; }
+  footer { margin-top: 40px; color: #6c757d; font-size: 0.75rem; }
+  @page { margin: 16mm; }
+  @media print {
+    body { background: none; }
+    main { max-width: none; padding: 0; }
+    * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    section { break-inside: avoid-page; }
+    h2 { break-after: avoid; }
+    .meta a { text-decoration: none; }
+  }
+`;
+
+function toHtml(model) {
+  const swatch = ({ label, hex, rgb, hsl, count, variables }) => `
+    <div class="swatch">
+      <div class="swatch-color" style="background-color: ${escapeHtml(hex)}"></div>
+      <div class="swatch-info">
+        ${label ? `<div class="swatch-name">${escapeHtml(label)}</div>` : ''}
+        <code>${escapeHtml(hex)}</code>
+        ${rgb ? `<code>${escapeHtml(rgb)}</code>` : ''}
+        ${hsl ? `<code>${escapeHtml(hsl)}</code>` : ''}
+        ${variables.length > 0 ? `<code class="swatch-variables">${escapeHtml(variables.join(', '))}</code>` : ''}
+        ${count ? `<div class="swatch-variables">Used ${count}×</div>` : ''}
+      </div>
+    </div>
+  `;
+
+  const specimen = ({ name, label, style }) => `
+    <div class="specimen">
+      <div>
+        <div class="specimen-label">${escapeHtml(label)}</div>
+        <div class="specimen-props">
+          ${escapeHtml(style.fontFamily ? style.fontFamily.split(',')[0].replace(/["']/g, '') : 'inherit')}<br>
+          ${escapeHtml(style.fontSize || 'N/A')} / ${escapeHtml(style.lineHeight || 'normal')}<br>
+          Weight ${escapeHtml(style.fontWeight || 'N/A')}
+          ${style.letterSpacing && style.letterSpacing !== 'normal' ? `<br>Tracking ${escapeHtml(style.letterSpacing)}` : ''}
+        </div>
+      </div>
+      <div class="specimen-sample" style="
+        font-family: ${escapeHtml(style.fontFamily || 'inherit')};
+        font-size: ${escapeHtml(style.fontSize || 'inherit')};
+        font-weight: ${escapeHtml(style.fontWeight || 'inherit')};
+        line-height: ${escapeHtml(style.lineHeight || 'inherit')};
+        letter-spacing: ${escapeHtml(style.letterSpacing || 'normal')};
+      ">${name === 'body' ? `${SPECIMEN_TEXT}. Body copy on this site is set like this paragraph.` : SPECIMEN_TEXT}</div>
+    </div>
+  `;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Style Guide: ${escapeHtml(model.title)}</title>
+  <style>${REPORT_CSS}</style>
+</head>
+<body>
+  <main>
+    <header>
+      <h1>${escapeHtml(model.title)}</h1>
+      <div class="meta">
+        Style guide${model.url ? ` for <a href="${escapeHtml(model.url)}">${escapeHtml(model.url)}</a>` : ''}${model.analyzedAt ? `, analyzed ${escapeHtml(model.analyzedAt)}` : ''}
+      </div>
+    </header>
+
+    <section>
+      <h2>Colors</h2>
+      ${model.roles.length > 0 ? `
+        <h3>Roles</h3>
+        <div class="swatches">${model.roles.map(swatch).join('')}</div>
+      ` : ''}
+      ${model.palette.length > 0 ? `
+        <h3>Palette</h3>
+        <div class="swatches">${model.palette.map(swatch).join('')}</div>
+      ` : ''}
+      ${model.roles.length === 0 && model.palette.length === 0 ? '<p class="empty">No colors detected.</p>' : ''}
+    </section>
+
+    <section>
+      <h2>Typography</h2>
+      ${model.fontFamilies.length > 0 ? `
+        <h3>Font Families</h3>
+        <div class="families">
+          ${model.fontFamilies.map(family => `<span style="font-family: '${escapeHtml(family)}'">${escapeHtml(family)}</span>`).join('')}
+        </div>
+      ` : ''}
+      ${model.specimens.length > 0 ? `
+        <h3>Type Specimens${model.typeScale ? ` · Scale ${escapeHtml(model.typeScale)}` : ''}</h3>
+        ${model.specimens.map(specimen).join('')}
+      ` : '<p class="empty">No typography data.</p>'}
+    </section>
+
+    <section>
+      <h2>Technology Stack</h2>
+      ${model.stack.length > 0 ? model.stack.map(({ label, items }) => `
+        <h3>${escapeHtml(label)}</h3>
+        <div class="stack">
+          ${items.map(item => `
+            <span class="tech">
+              ${techIcon(item.name)}
+              ${escapeHtml(item.name)}${item.version ? ` <span class="tech-version">${escapeHtml(item.version)}</span>` : ''}
+            </span>
+          `).join('')}
+        </div>
+      `).join('') : '<p class="empty">No technologies detected.</p>'}
+    </section>
+
+    <footer>Generated by Site Info on ${escapeHtml(new Date().toLocaleDateString())}</footer>
+  </main>
+</body>
+</html>
+`;
+}
+
+// Page text is escaped so titles, names and table cells can't start headings, emphasis or
+// links, or end a table cell early
+function markdownText(value) {
+  return String(value ?? '')
+    .replace(/\s*\n\s*/g, ' ')
+    .replace(/[\\`*_[\]<>#|~]/g, '\\$&')
+    .replace(/^[-+]/, '\\$&');
+}
+
+// Code spans show backslashes literally, so only pipes are escaped (tables still split on them)
+// and a value containing a backtick gets a longer fence
+function codeCell(value) {
+  const text = String(value ?? '').replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|');
+  return text.includes('`') ? `\`\` ${text} \`\`` : `\`${text}\``;
+}
+
+function toMarkdown(model) {
+  const lines = [`# ${markdownText(model.title)}`, ''];
+  const meta = [
+    model.url ? `Style guide for <${model.url}>` : 'Style guide',
+    model.analyzedAt ? `analyzed ${model.analyzedAt}` : ''
+  ].filter(Boolean).join(', ');
+  lines.push(`${meta}.`, '');
+
+  const colorTable = (rows, nameHeader, name) => {
+    lines.push(`| ${nameHeader} | Hex | RGB | HSL | Variables |`, '| --- | --- | --- | --- | --- |');
+    rows.forEach(row => {
+      lines.push(`| ${markdownText(name(row))} | ${codeCell(row.hex)} | ${markdownText(row.rgb)} | ${markdownText(row.hsl)} | ${row.variables.map(codeCell).join(', ')} |`);
+    });
+    lines.push('');
+  };
+
+  lines.push('## Colors', '');
+  if (model.roles.length > 0) {
+    lines.push('### Roles', '');
+    colorTable(model.roles, 'Role', row => row.label);
+  }
+  if (model.palette.length > 0) {
+    lines.push('### Palette', '');
+    colorTable(model.palette, 'Uses', row => row.count);
+  }
+  if (model.roles.length === 0 && model.palette.length === 0) {
+    lines.push('No colors detected.', '');
+  }
+
+  lines.push('## Typography', '');
+  if (model.fontFamilies.length > 0) {
+    lines.push(`Font families: ${model.fontFamilies.map(family => `**${markdownText(family)}**`).join(', ')}`, '');
+  }
+  if (model.typeScale) {
+    lines.push(`Type scale: ${model.typeScale}`, '');
+  }
+  if (model.specimens.length > 0) {
+    lines.push('| Style | Family | Size | Line height | Weight | Letter spacing |', '| --- | --- | --- | --- | --- | --- |');
+    model.specimens.forEach(({ label, style }) => {
+      lines.push(`| ${markdownText(label)} | ${markdownText(style.fontFamily)} | ${markdownText(style.fontSize)} | ${markdownText(style.lineHeight)} | ${markdownText(style.fontWeight)} | ${markdownText(style.letterSpacing)} |`);
+    });
+    lines.push('');
+  } else {
+    lines.push('No typography data.', '');
+  }
+
+  lines.push('## Technology Stack', '');
+  if (model.stack.length > 0) {
+    model.stack.forEach(({ label, items }) => {
+      lines.push(`### ${label}`, '');
+      items.forEach(item => lines.push(`- ${markdownText(item.name)}${item.version ? ` ${markdownText(item.version)}` : ''}`));
+      lines.push('');
+    });
+  } else {
+    lines.push('No technologies detected.', '');
+  }
+
+  return lines.join('\n');
+}
+
+export function buildReport(data, format) {
+  if (!REPORT_FORMATS[format]) {
+    throw new Error(`Unknown report format: ${format}`);
+  }
+  const model = buildReportModel(data);
+  return format === 'markdown' ? toMarkdown(model) : toHtml(model);
+}
@@ -0,0 +1,343 @@
+// Declarative technology signatures and the matcher that evaluates them against a page
+import BUILT_IN_SIGNATURES from './signatures.json';
+
+export { BUILT_IN_SIGNATURES };
+
+export const CATEGORIES = ['frameworks', 'libraries', 'analytics', 'hosting', 'cdn', 'server', 'tools'];
+
+// Display names, in the order categories are listed in the popup and reports
+export const CATEGORY_LABELS = {
+  frameworks: 'Frameworks',
+  libraries: 'Libraries',
+  hosting: 'Hosting',
+  cdn: 'CDN',
+  server: 'Server',
+  analytics: 'Analytics',
+  tools: 'Tools'
+};
+
+// How strongly a single piece of evidence of each kind points at a technology (0-100).
+// A signature can override these per kind with a `confidence` object.
+const EVIDENCE_WEIGHTS = {
+  globals: 90,
+  selectors: 70,
+  attributes: 60,
+  classes: 50,
+  scripts: 80,
+  stylesheets: 70,
+  meta: 90,
+  headers: 95,
+  cookies: 70,
+  headHtml: 40,
+  scriptContent: 60,
+  hostname: 90
+};
+
+const STRING_LIST_FIELDS = ['globals', 'versionGlobals', 'attributes', 'scripts', 'stylesheets',
+  'cookies', 'headHtml', 'scriptContent', 'hostname', 'implies'];
+
+// Check user-supplied signatures before they are stored; throws with a readable message
+export function validateSignatures(signatures) {
+  if (!Array.isArray(signatures)) {
+    throw new Error('Signatures must be a JSON array');
+  }
+
+  signatures.forEach((signature, index) => {
+    const where = `Signature ${index + 1}${signature && signature.name ? ` (${signature.name})` : ''}`;
+
+    if (!signature || typeof signature !== 'object') {
+      throw new Error(`${where} must be an object`);
+    }
+    if (typeof signature.name !== 'string' || !signature.name.trim()) {
+      throw new Error(`${where} needs a "name"`);
+    }
+    if (!CATEGORIES.includes(signature.category)) {
+      throw new Error(`${where} has an unknown category; use one of ${CATEGORIES.join(', ')}`);
+    }
+
+    STRING_LIST_FIELDS.forEach(field => {
+      if (signature[field] === undefined) return;
+      if (!Array.isArray(signature[field]) || signature[field].some(value => typeof value !== 'string')) {
+        throw new Error(`${where}: "${field}" must be an array of strings`);
+      }
+    });
+
+    // Every pattern field is compiled up front so a bad regex fails here, not on every page
+    ['attributes', 'scripts', 'stylesheets', 'cookies', 'headHtml', 'scriptContent', 'hostname']
+      .forEach(field => (signature[field] || []).forEach(pattern => compilePattern(pattern, where)));
+    ['meta', 'headers'].forEach(field => {
+      if (signature[field] === undefined) return;
+      if (typeof signature[field] !== 'object' || Array.isArray(signature[field])) {
+        throw new Error(`${where}: "${field}" must map names to patterns`);
+      }
+      Object.values(signature[field]).forEach(pattern => compilePattern(pattern, where));
+    });
+    (signature.classes || []).forEach(group => {
+      if (!Array.isArray(group)) {
+        throw new Error(`${where}: "classes" must be an array of pattern arrays`);
+      }
+      group.forEach(pattern => compilePattern(pattern, where));
+    });
+
+    if (signature.selectors !== undefined) {
+      if (!Array.isArray(signature.selectors)) {
+        throw new Error(`${where}: "selectors" must be an array`);
+      }
+      signature.selectors.forEach(entry => checkSelector(entry, where));
+    }
+
+    if (signature.confidence !== undefined) {
+      if (!signature.confidence || typeof signature.confidence !== 'object' || Array.isArray(signature.confidence)) {
+        throw new Error(`${where}: "confidence" must map evidence kinds to weights`);
+      }
+      Object.entries(signature.confidence).forEach(([kind, weight]) => {
+        if (!(kind in EVIDENCE_WEIGHTS)) {
+          throw new Error(`${where}: unknown confidence kind "${kind}"; use one of ${Object.keys(EVIDENCE_WEIGHTS).join(', ')}`);
+        }
+        if (typeof weight !== 'number' || !(weight >= 0 && weight <= 100)) {
+          throw new Error(`${where}: confidence for "${kind}" must be a number from 0 to 100`);
+        }
+      });
+    }
+  });
+
+  return signatures;
+}
+
+// A selector string, or `{ selector, versionAttribute }`. Matching an empty fragment still
+// parses the selector, so an invalid one fails here rather than throwing on every page.
+function checkSelector(entry, where) {
+  const selector = typeof entry === 'string' ? entry : entry && entry.selector;
+  if (typeof selector !== 'string' || !selector.trim()) {
+    throw new Error(`${where}: each "selectors" entry must be a selector or { "selector", "versionAttribute" }`);
+  }
+  if (typeof entry === 'object' && entry.versionAttribute !== undefined && typeof entry.versionAttribute !== 'string') {
+    throw new Error(`${where}: "versionAttribute" must be a string`);
+  }
+  try {
+    document.createDocumentFragment().querySelector(selector);
+  } catch (e) {
+    throw new Error(`${where}: invalid selector "${selector}"`);
+  }
+}
+
+function compilePattern(pattern, where) {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (e) {
+    throw new Error(`${where}: invalid pattern "${pattern}" (${e.message})`);
+  }
+}
+
+// Global property paths (e.g. "jQuery.fn.jquery") that must be read from the page's own JS world
+export function collectGlobalPaths(signatures) {
+  const paths = new Set();
+  signatures.forEach(signature => {
+    (signature.globals || []).forEach(path => paths.add(path));
+    (signature.versionGlobals || []).forEach(path => paths.add(path));
+  });
+  return Array.from(paths);
+}
+
+// Runs in the page's MAIN world via chrome.scripting, so it must stay self-contained.
+// Returns primitive values as-is and `true` for any other truthy value.
+export function probeGlobals(paths) {
+  const found = {};
+  paths.forEach(path => {
+    try {
+      const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), window);
+      if (value === undefined || value === null || value === false) return;
+      found[path] = ['string', 'number', 'boolean'].includes(typeof value) ? value : true;
+    } catch (e) {
+      // Getters on some globals throw; treat those as absent
+    }
+  });
+  return found;
+}
+
+// Evaluate signatures against the current document. `globals` holds the probeGlobals() result;
+// without it we fall back to what's visible from the content script's isolated world.
+// `headers` are the main document's response headers (lowercased names) from the background script.
+// `nodeBudget` caps how many elements are scanned for class and attribute evidence.
+export function matchSignatures(signatures, { globals = null, headers = null, nodeBudget = Infinity } = {}) {
+  const page = collectPageFacts(nodeBudget);
+  page.headers = headers || {};
+  const readGlobal = path => (globals ? globals[path] : probeGlobals([path])[path]);
+
+  const detected = new Map();
+
+  signatures.forEach(signature => {
+    try {
+      const result = evaluateSignature(signature, page, readGlobal);
+      if (result) detected.set(signature.name, result);
+    } catch (e) {
+      console.error(`Error evaluating signature ${signature.name}:`, e);
+    }
+  });
+
+  // Implied technologies (Next.js implies React) inherit the confidence of what implied them
+  detected.forEach(result => {
+    (result.implies || []).forEach(name => {
+      if (detected.has(name)) return;
+      const signature = signatures.find(s => s.name === name);
+      if (!signature) return;
+      detected.set(name, {
+        name,
+        category: signature.category,
+        version: null,
+        confidence: result.confidence,
+        evidence: [`implied by ${result.name}`]
+      });
+    });
+  });
+
+  const tech = {};
+  CATEGORIES.forEach(category => {
+    tech[category] = [];
+  });
+  detected.forEach(({ implies, ...entry }) => {
+    tech[entry.category].push(entry);
+  });
+  CATEGORIES.forEach(category => {
+    tech[category].sort((a, b) => b.confidence - a.confidence);
+  });
+
+  return tech;
+}
+
+// Gather the page data every signature is matched against in one pass
+function collectPageFacts(nodeBudget) {
+  const meta = {};
+  document.querySelectorAll('meta[name], meta[property]').forEach(el => {
+    const name = (el.getAttribute('name') || el.getAttribute('property')).toLowerCase();
+    meta[name] = meta[name] || [];
+    meta[name].push(el.getAttribute('content') || '');
+  });
+
+  const cookies = document.cookie
+    ? document.cookie.split(';').map(cookie => cookie.split('=')[0].trim())
+    : [];
+
+  // One walk serves both class and attribute-name evidence; past the budget, elements are
+  // taken at an even stride, since frameworks mark up the whole page the same way
+  const classSets = [];
+  const attributeNames = new Set();
+  const elements = document.querySelectorAll('*');
+  const stride = Math.max(1, elements.length / nodeBudget);
+  for (let i = 0; i < elements.length; i += stride) {
+    const el = elements[Math.floor(i)];
+    if (typeof el.className === 'string' && el.className.trim()) {
+      classSets.push(el.className.trim().split(/\s+/));
+    }
+    Array.from(el.attributes).forEach(attr => attributeNames.add(attr.name));
+  }
+
+  return {
+    scripts: Array.from(document.querySelectorAll('script[src]')).map(el => el.getAttribute('src')),
+    stylesheets: Array.from(document.querySelectorAll('link[href]')).map(el => el.getAttribute('href')),
+    scriptContent: Array.from(document.querySelectorAll('script:not([src])')).map(el => el.textContent),
+    headHtml: document.head ? document.head.innerHTML : '',
+    hostname: window.location.hostname,
+    meta,
+    cookies,
+    classSets,
+    attributeNames: Array.from(attributeNames)
+  };
+}
+
+function evaluateSignature(signature, page, readGlobal) {
+  const weights = { ...EVIDENCE_WEIGHTS, ...(signature.confidence || {}) };
+  const evidence = [];
+  const scores = [];
+  let version = null;
+
+  const hit = (kind, description, foundVersion) => {
+    evidence.push(`${kind}: ${description}`);
+    scores.push(weights[kind]);
+    if (!version && foundVersion) version = String(foundVersion);
+  };
+
+  // Capture group 1 of a matching pattern, when present, is taken as the version
+  const testPatterns = (kind, patterns, values) => {
+    (patterns || []).forEach(pattern => {
+      const regex = new RegExp(pattern, 'i');
+      for (const value of values) {
+        const match = value && value.match(regex);
+        if (match) {
+          hit(kind, kind === 'scriptContent' || kind === 'headHtml' ? pattern : value, match[1]);
+          break;
+        }
+      }
+    });
+  };
+
+  (signature.globals || []).forEach(path => {
+    if (readGlobal(path) !== undefined) hit('globals', path);
+  });
+
+  (signature.selectors || []).forEach(entry => {
+    const selector = typeof entry === 'string' ? entry : entry.selector;
+    const el = document.querySelector(selector);
+    if (el) {
+      hit('selectors', selector, entry.versionAttribute && el.getAttribute(entry.versionAttribute));
+    }
+  });
+
+  testPatterns('attributes', signature.attributes, page.attributeNames);
+  testPatterns('scripts', signature.scripts, page.scripts);
+  testPatterns('stylesheets', signature.stylesheets, page.stylesheets);
+  testPatterns('cookies', signature.cookies, page.cookies);
+  testPatterns('headHtml', signature.headHtml, [page.headHtml]);
+  testPatterns('scriptContent', signature.scriptContent, page.scriptContent);
+  testPatterns('hostname', signature.hostname, [page.hostname]);
+
+  Object.entries(signature.meta || {}).forEach(([name, pattern]) => {
+    const regex = new RegExp(pattern, 'i');
+    const content = (page.meta[name.toLowerCase()] || []).find(value => regex.test(value));
+    if (content !== undefined) {
+      const match = content.match(regex);
+      hit('meta', `${name}${content ? `=${content}` : ''}`, match && match[1]);
+    }
+  });
+
+  // Header evidence names the header (and value) that proved the match
+  Object.entries(signature.headers || {}).forEach(([name, pattern]) => {
+    const value = page.headers[name.toLowerCase()];
+    if (value === undefined) return;
+    const match = value.match(new RegExp(pattern, 'i'));
+    if (match) {
+      hit('headers', `${name.toLowerCase()}: ${value}`, match[1]);
+    }
+  });
+
+  // Each group lists patterns that must all match classes of the same element
+  (signature.classes || []).forEach(group => {
+    const regexes = group.map(pattern => new RegExp(pattern));
+    const matches = page.classSets.some(classes =>
+      regexes.every(regex => classes.some(cls => regex.test(cls))));
+    if (matches) hit('classes', group.join(' + '));
+  });
+
+  if (scores.length === 0) return null;
+
+  (signature.versionGlobals || []).some(path => {
+    const value = readGlobal(path);
+    if (typeof value === 'string' || typeof value === 'number') {
+      version = String(value);
+      return true;
+    }
+    return false;
+  });
+
+  // Independent pieces of evidence reinforce each other: 1 - Π(1 - p)
+  const confidence = Math.round(100 * (1 - scores.reduce((rest, score) => rest * (1 - score / 100), 1)));
+
+  return {
+    name: signature.name,
+    category: signature.category,
+    version,
+    confidence,
+    evidence,
+    implies: signature.implies
+  };
+}
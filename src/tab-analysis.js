@@ -0,0 +1,187 @@
+// Running content.js in a tab and collecting its results, shared by the popup and the batch page
+import { mergeFrameResults } from './frames';
+import { ANALYZERS, MESSAGE_TYPES } from './messages';
+import { BUILT_IN_SIGNATURES, collectGlobalPaths, probeGlobals } from './signatures';
+
+// How long an analyzer may run without reporting progress before we give up on it
+const ANALYZER_TIMEOUT_MS = 10000;
+// How long to wait for same-origin frames still analyzing once the top page is done
+const FRAME_TIMEOUT_MS = 5000;
+const FRAME_POLL_INTERVAL_MS = 250;
+
+// The top page's cached analysis, dropping it (in every frame) when it's stale. Frames keep
+// their own results, which are merged in once the top page's are complete.
+export async function getExistingAnalysis(tab, invalidate = false) {
+  const existingResults = await chrome.scripting.executeScript({
+    target: { tabId: tab.id, allFrames: true },
+    func: (invalidate, currentUrl) => {
+      const cached = window.__SITE_INFO__;
+      const url = window === window.top ? currentUrl : window.location.href;
+      // Client-side navigation (SPAs) changes the URL without reloading the content script.
+      // A running analysis is never stale: dropping it would start a second one alongside.
+      if (cached && cached.status !== 'analyzing' && (invalidate || cached.url !== url)) {
+        delete window.__SITE_INFO__;
+        return null;
+      }
+      return cached || null;
+    },
+    args: [invalidate, tab.url]
+  });
+  return existingResults && existingResults.find(result => result.frameId === 0)?.result;
+}
+
+export async function injectAnalysis(tabId) {
+  await prepareAnalysisContext(tabId);
+  await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    files: ['content.js']
+  });
+}
+
+// Complete analysis of any tab, reusing a finished run when there is one
+export async function analyzeTab(tab) {
+  const existing = await getExistingAnalysis(tab);
+  if (existing && existing.status !== 'analyzing') {
+    return withFrameResults(tab.id, existing);
+  }
+
+  const analysis = waitForAnalysis(tab.id);
+  if (!existing) {
+    try {
+      await injectAnalysis(tab.id);
+    } catch (error) {
+      analysis.cancel();
+      throw new Error(`Failed to inject content script: ${error.message}`);
+    }
+  }
+
+  return withFrameResults(tab.id, await analysis);
+}
+
+// Wait for same-origin frames to finish (content.js skips cross-origin ones) and fold their
+// results into the top page's. Frames still analyzing after FRAME_TIMEOUT_MS are left out.
+export async function withFrameResults(tabId, data) {
+  const deadline = Date.now() + FRAME_TIMEOUT_MS;
+  let frames = [];
+
+  try {
+    while (true) {
+      const results = await chrome.scripting.executeScript({
+        target: { tabId, allFrames: true },
+        func: () => window.__SITE_INFO__ || null
+      });
+      const frameResults = results.filter(result => result.frameId !== 0 && result.result);
+      frames = frameResults
+        .filter(result => result.result.status !== 'analyzing' && !result.result.error)
+        .map(result => ({ frameId: result.frameId, data: result.result }));
+
+      if (frames.length === frameResults.length || Date.now() >= deadline) break;
+      await new Promise(resolve => setTimeout(resolve, FRAME_POLL_INTERVAL_MS));
+    }
+  } catch (error) {
+    console.warn('Could not collect frame results:', error);
+  }
+
+  return mergeFrameResults(data, frames);
+}
+
+// Hand content.js what it can't gather itself: page globals from the MAIN world (content
+// scripts run isolated from page JS), the main document's response headers, and the
+// custom signatures and settings saved on the options page
+async function prepareAnalysisContext(tabId) {
+  const { customSignatures = [], settings = {} } = await chrome.storage.local.get(['customSignatures', 'settings']);
+
+  let globals = null;
+  try {
+    const probeResults = await chrome.scripting.executeScript({
+      target: { tabId },
+      world: 'MAIN',
+      func: probeGlobals,
+      args: [collectGlobalPaths(BUILT_IN_SIGNATURES.concat(customSignatures))]
+    });
+    globals = probeResults[0]?.result || null;
+  } catch (error) {
+    console.warn('Could not read page globals, falling back to isolated world:', error);
+  }
+
+  // Response headers are only visible to the background script
+  let responseHeaders = null;
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    responseHeaders = await chrome.runtime.sendMessage({
+      type: MESSAGE_TYPES.GET_RESPONSE_HEADERS,
+      tabId,
+      url: tab.url
+    });
+  } catch (error) {
+    console.warn('Could not get response headers:', error);
+  }
+
+  await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    func: context => {
+      window.__SITE_INFO_CONTEXT__ = context;
+    },
+    args: [{ globals, customSignatures, responseHeaders, settings }]
+  });
+}
+
+// Resolve with the final site info once content.js reports completion, reporting each
+// analyzer's result as it arrives and `onStep` progress within long analyzers. Rejects
+// when an analyzer stops reporting; `label` names it in that error.
+export function waitForAnalysis(tabId, { onProgress = () => {}, onStep = () => {}, label = analyzer => analyzer } = {}) {
+  let timer;
+  let listener;
+
+  const promise = new Promise((resolve, reject) => {
+    let pending = ANALYZERS[0];
+
+    const finish = () => {
+      clearTimeout(timer);
+      chrome.runtime.onMessage.removeListener(listener);
+    };
+
+    const resetTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        finish();
+        reject(new Error(`${label(pending)} analysis timed out. Try refreshing the page; background tabs can be slow, so switching to the tab may help.`));
+      }, ANALYZER_TIMEOUT_MS);
+    };
+
+    listener = (message, sender) => {
+      if (!message || sender.tab?.id !== tabId) return;
+
+      switch (message.type) {
+        case MESSAGE_TYPES.ANALYSIS_PROGRESS:
+          onProgress(message.analyzer, message.result);
+          pending = ANALYZERS[ANALYZERS.indexOf(message.analyzer) + 1] || pending;
+          resetTimer();
+          break;
+        case MESSAGE_TYPES.ANALYSIS_STEP:
+          // A long analyzer that keeps reporting isn't stuck
+          onStep(message.analyzer, message.done, message.total);
+          resetTimer();
+          break;
+        case MESSAGE_TYPES.ANALYSIS_COMPLETE:
+          finish();
+          resolve(message.data);
+          break;
+        case MESSAGE_TYPES.ANALYSIS_ERROR:
+          finish();
+          reject(new Error(`Analysis error: ${message.error}`));
+          break;
+      }
+    };
+
+    chrome.runtime.onMessage.addListener(listener);
+    resetTimer();
+  });
+
+  promise.cancel = () => {
+    clearTimeout(timer);
+    chrome.runtime.onMessage.removeListener(listener);
+  };
+
+  return promise;
+}
@@ -0,0 +1,4 @@
+// Test-only entry (dist-node/test-exports.js): helpers from the extension pages that the
+// node:test suite exercises directly. They stay out of index.js, which is the Node API.
+export { aggregateCrawl, crawlToCsv, parseSitemap, parseUrlList, toPageResult } from './crawl';
+export { validateSignatures } from './signatures';
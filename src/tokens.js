@@ -0,0 +1,182 @@
+// Design token generation from the site info collected by content.js
+
+const COLOR_ROLES = ['background', 'text', 'accent', 'link'];
+const HEADING_LEVELS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+export const TOKEN_FORMATS = {
+  css: { label: 'CSS variables', extension: 'css', mimeType: 'text/css' },
+  tailwind: { label: 'Tailwind config', extension: 'js', mimeType: 'text/javascript' },
+  json: { label: 'Style Dictionary JSON', extension: 'json', mimeType: 'application/json' },
+  scss: { label: 'SCSS variables', extension: 'scss', mimeType: 'text/x-scss' }
+};
+
+// Split a computed font-family string into its individual family names
+function parseFontStack(fontFamily) {
+  if (!fontFamily) return [];
+  return fontFamily
+    .split(',')
+    .map(font => font.trim().replace(/["']/g, ''))
+    .filter(Boolean);
+}
+
+// Quote family names containing spaces so the stack is valid CSS again
+function formatFontStack(stack) {
+  return stack.map(font => (/\s/.test(font) ? `"${font}"` : font)).join(', ');
+}
+
+// Build a flat, format-agnostic token set named after the detected roles and heading levels
+export function buildTokens(data = {}) {
+  const colors = data.colors || {};
+  const typography = data.typography || {};
+  const headings = typography.headings || {};
+
+  const tokens = {
+    colors: [],
+    fontFamilies: [],
+    fontSizes: [],
+    fontWeights: [],
+    lineHeights: []
+  };
+
+  // Role colors first, then the remaining palette entries. Names are unique, since every
+  // format keys tokens by name and a later duplicate would silently replace an earlier one.
+  const usedColors = new Set();
+  const usedNames = new Set();
+  const uniqueName = name => {
+    let unique = name;
+    for (let suffix = 2; usedNames.has(unique); suffix++) {
+      unique = `${name}-${suffix}`;
+    }
+    usedNames.add(unique);
+    return unique;
+  };
+
+  COLOR_ROLES.forEach(role => {
+    if (colors[role] && colors[role].color) {
+      tokens.colors.push({ name: uniqueName(role), value: colors[role].color });
+      usedColors.add(colors[role].color);
+    }
+  });
+
+  (colors.all || [])
+    .filter(item => item.color && !usedColors.has(item.color))
+    .forEach((item, index) => {
+      // Keep the page's own token name when the color came from a custom property, without a
+      // `color-` prefix of its own, since the formats add theirs (`--color-primary`, not `--color-color-primary`)
+      const variable = item.variables && item.variables[0];
+      const name = variable ? variable.replace(/^--/, '').replace(/^colou?r-/i, '') : '';
+      tokens.colors.push({ name: uniqueName(name || `palette-${index + 1}`), value: item.color });
+    });
+
+  // Body and heading font stacks (the highest heading level present represents headings)
+  const headingStyle = HEADING_LEVELS.map(level => headings[level]).find(Boolean);
+  if (typography.body && typography.body.fontFamily) {
+    tokens.fontFamilies.push({ name: 'body', value: parseFontStack(typography.body.fontFamily) });
+  }
+  if (headingStyle && headingStyle.fontFamily) {
+    tokens.fontFamilies.push({ name: 'heading', value: parseFontStack(headingStyle.fontFamily) });
+  }
+
+  // Per-level size, weight and line height
+  const levels = [['body', typography.body]]
+    .concat(HEADING_LEVELS.map(level => [level, headings[level]]))
+    .filter(([, style]) => style);
+
+  levels.forEach(([name, style]) => {
+    if (style.fontSize) tokens.fontSizes.push({ name, value: style.fontSize });
+    if (style.fontWeight) tokens.fontWeights.push({ name, value: style.fontWeight });
+    if (style.lineHeight && style.lineHeight !== 'normal') {
+      tokens.lineHeights.push({ name, value: style.lineHeight });
+    }
+  });
+
+  return tokens;
+}
+
+// Flatten tokens into [name, cssValue] pairs shared by the CSS and SCSS formats
+function flattenTokens(tokens) {
+  return [
+    ...tokens.colors.map(t => [`color-${t.name}`, t.value]),
+    ...tokens.fontFamilies.map(t => [`font-${t.name}`, formatFontStack(t.value)]),
+    ...tokens.fontSizes.map(t => [`font-size-${t.name}`, t.value]),
+    ...tokens.fontWeights.map(t => [`font-weight-${t.name}`, t.value]),
+    ...tokens.lineHeights.map(t => [`line-height-${t.name}`, t.value])
+  ];
+}
+
+function toCssVariables(tokens) {
+  const lines = flattenTokens(tokens).map(([name, value]) => `  --${name}: ${value};`);
+  return `:root {\n${lines.join('\n')}\n}\n`;
+}
+
+function toScssVariables(tokens) {
+  return flattenTokens(tokens).map(([name, value]) => `$${name}: ${value};`).join('\n') + '\n';
+}
+
+function toTailwindConfig(tokens) {
+  const toObject = (list, mapValue = value => value) =>
+    list.reduce((obj, t) => {
+      obj[t.name] = mapValue(t.value, t.name);
+      return obj;
+    }, {});
+
+  const lineHeights = toObject(tokens.lineHeights);
+  const fontWeights = toObject(tokens.fontWeights);
+
+  const extend = {
+    colors: toObject(tokens.colors),
+    fontFamily: toObject(tokens.fontFamilies),
+    // Tailwind's [size, { lineHeight, fontWeight }] tuple form
+    fontSize: toObject(tokens.fontSizes, (value, name) => {
+      const options = {};
+      if (lineHeights[name]) options.lineHeight = lineHeights[name];
+      if (fontWeights[name]) options.fontWeight = fontWeights[name];
+      return Object.keys(options).length > 0 ? [value, options] : value;
+    })
+  };
+
+  Object.keys(extend).forEach(key => {
+    if (Object.keys(extend[key]).length === 0) delete extend[key];
+  });
+
+  const body = JSON.stringify({ theme: { extend } }, null, 2);
+  return `/** @type {import('tailwindcss').Config} */\nmodule.exports = ${body};\n`;
+}
+
+// W3C Design Tokens format ($value/$type), which Style Dictionary reads natively
+function toStyleDictionary(tokens) {
+  const group = (list, type) =>
+    list.reduce((obj, t) => {
+      obj[t.name] = { $value: t.value, $type: type };
+      return obj;
+    }, {});
+
+  const result = {};
+  if (tokens.colors.length) result.color = group(tokens.colors, 'color');
+
+  const font = {};
+  if (tokens.fontFamilies.length) font.family = group(tokens.fontFamilies, 'fontFamily');
+  if (tokens.fontSizes.length) font.size = group(tokens.fontSizes, 'dimension');
+  if (tokens.fontWeights.length) {
+    font.weight = group(tokens.fontWeights.map(t => ({ ...t, value: Number(t.value) || t.value })), 'fontWeight');
+  }
+  if (tokens.lineHeights.length) font.lineHeight = group(tokens.lineHeights, 'dimension');
+  if (Object.keys(font).length) result.font = font;
+
+  return JSON.stringify(result, null, 2) + '\n';
+}
+
+const formatters = {
+  css: toCssVariables,
+  tailwind: toTailwindConfig,
+  json: toStyleDictionary,
+  scss: toScssVariables
+};
+
+export function formatTokens(data, format) {
+  const formatter = formatters[format];
+  if (!formatter) {
+    throw new Error(`Unknown token format: ${format}`);
+  }
+  return formatter(buildTokens(data));
+}
@@ -0,0 +1,23 @@
+// URL helpers shared by the page-side scripts
+
+// Second-level labels under which sites register names (example.co.uk, example.com.au)
+const SHARED_SECOND_LEVEL = ['co', 'com', 'net', 'org', 'gov', 'ac', 'edu', 'ne', 'or'];
+
+// Approximate registrable domain ("eTLD+1") without shipping the public suffix list
+export function getSiteDomain(hostname) {
+  const labels = hostname.toLowerCase().replace(/\.$/, '').split('.');
+  if (labels.length <= 2 || /^[\d.]+$/.test(hostname)) return labels.join('.');
+
+  const secondLevel = labels[labels.length - 2];
+  const count = labels[labels.length - 1].length === 2 && SHARED_SECOND_LEVEL.includes(secondLevel) ? 3 : 2;
+  return labels.slice(-count).join('.');
+}
+
+// Whether `url` is served from the same site as the page
+export function isFirstParty(url, pageUrl = window.location.href) {
+  try {
+    return getSiteDomain(new URL(url, pageUrl).hostname) === getSiteDomain(new URL(pageUrl).hostname);
+  } catch (e) {
+    return false;
+  }
+}
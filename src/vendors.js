@@ -0,0 +1,35 @@
+// Third-party vendors keyed by the domains their scripts are served from
+import VENDORS from './vendors.json';
+
+export { VENDORS };
+
+export const VENDOR_CATEGORIES = ['analytics', 'ads', 'tag-manager', 'chat', 'ab-testing', 'consent',
+  'monitoring', 'payments', 'media', 'security', 'cdn'];
+
+// Match a script URL against vendor domains; an entry may include a path ("gstatic.com/recaptcha").
+// The most specific (longest) matching domain wins, so cdnjs.cloudflare.com beats a broader entry.
+export function findVendor(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return null;
+  }
+  const hostname = parsed.hostname.toLowerCase();
+
+  let best = null;
+  let bestLength = 0;
+  VENDORS.forEach(vendor => {
+    vendor.domains.forEach(domain => {
+      const [host, ...path] = domain.split('/');
+      const pathPrefix = path.length ? `/${path.join('/')}` : '/';
+      const matches = (hostname === host || hostname.endsWith(`.${host}`)) && parsed.pathname.startsWith(pathPrefix);
+      if (matches && domain.length > bestLength) {
+        best = vendor;
+        bestLength = domain.length;
+      }
+    });
+  });
+
+  return best ? { name: best.name, category: best.category } : null;
+}
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeFixture, analyzeHtml } = require('./helpers');
+
+const paletteColors = colors => colors.all.map(item => item.color);
+
+test('assigns text, link, accent and background roles', async () => {
+  const { colors } = await analyzeFixture('colors/roles.html');
+
+  assert.equal(colors.text.color, '#1f2937');
+  assert.equal(colors.link.color, '#2563eb');
+  assert.equal(colors.accent.color, '#ea580c');
+  assert.equal(colors.background.color, '#f8fafc');
+});
+
+test('merges perceptually identical colors but keeps a different opacity apart', async () => {
+  const { colors } = await analyzeFixture('colors/clustering.html');
+  const blue = colors.all.find(item => item.color === '#0d6efd');
+
+  assert.deepEqual(blue.members, ['#0d6efd', '#0e6efd']);
+  assert.equal(blue.count, 3);
+  assert.ok(!paletteColors(colors).includes('#0e6efd'));
+
+  const translucent = colors.all.find(item => item.color === '#0d6efd80');
+  assert.equal(translucent.alpha, 0.5);
+});
+
+test('keeps every distinct hex with a cluster threshold of 0', async () => {
+  const { colors } = await analyzeFixture('colors/clustering.html', { settings: { colorClusterThreshold: 0 } });
+
+  assert.ok(paletteColors(colors).includes('#0d6efd'));
+  assert.ok(paletteColors(colors).includes('#0e6efd'));
+});
+
+test('collects border, outline, shadow and gradient colors with their source', async () => {
+  const { colors } = await analyzeFixture('colors/decorations.html');
+  const source = hex => Object.keys(colors.all.find(item => item.color === hex).sources);
+
+  assert.deepEqual(source('#dc2626'), ['border']);
+  assert.deepEqual(source('#7c3aed'), ['outline']);
+  assert.deepEqual(source('#00000040'), ['shadow']);
+  assert.deepEqual(source('#10b981'), ['gradient']);
+  assert.deepEqual(source('#3b82f6'), ['gradient']);
+});
+
+test('ignores hidden elements and everything inside display: none', async () => {
+  const { colors } = await analyzeFixture('colors/hidden.html');
+
+  assert.ok(!paletteColors(colors).includes('#db2777'));
+  assert.ok(!paletteColors(colors).includes('#65a30d'));
+  assert.ok(paletteColors(colors).includes('#111111'));
+});
+
+test('ignores transparent backgrounds', async () => {
+  const { colors } = await analyzeFixture('colors/transparent.html');
+
+  assert.deepEqual(paletteColors(colors), ['#111111']);
+});
+
+test('attributes colors from open shadow roots to their component', async () => {
+  const { colors } = await analyzeFixture('colors/shadow-dom.html', { runScripts: true });
+  const banner = colors.all.find(item => item.color === '#facc15');
+
+  assert.deepEqual(banner.components, ['promo-banner']);
+  assert.deepEqual(colors.all.find(item => item.color === '#111111').components, []);
+});
+
+test('samples pages over the node budget, keeping buttons and links', async () => {
+  const filler = '<div style="color: #333333">filler</div>'.repeat(1200);
+  const html = `<body>${filler}<button style="background-color: #16a34a">Buy</button></body>`;
+  const { colors } = await analyzeHtml(html, { settings: { nodeBudget: 500 } });
+
+  assert.equal(colors.sampling.elementsAnalyzed, 500);
+  assert.equal(colors.sampling.elementsTotal, 1201);
+  assert.equal(colors.accent.color, '#16a34a');
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { aggregateCrawl, crawlToCsv, parseSitemap, parseUrlList, toPageResult } = require('../dist-node/test-exports');
+const { analyzeFixture } = require('./helpers');
+
+// parseSitemap uses the browser's DOMParser; this process only runs tests, so it stays installed
+globalThis.DOMParser = new JSDOM('').window.DOMParser;
+
+const readFixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+const page = (url, colors, extra = {}) => ({
+  url,
+  finalUrl: url,
+  title: url,
+  timestamp: '2024-01-01T00:00:00.000Z',
+  fonts: ['Inter'],
+  colors,
+  technologies: ['React'],
+  ...extra
+});
+
+// #111 on 3 of 4 analyzed pages and #222/#333 on exactly half are dominant.
+// B is exactly half off-palette, C a quarter and D two thirds.
+const CRAWL = [
+  page('https://example.com/a', ['#111', '#222']),
+  page('https://example.com/b', ['#111', '#777']),
+  page('https://example.com/c', ['#111', '#222', '#333', '#444']),
+  page('https://example.com/d', ['#333', '#555', '#666']),
+  { url: 'https://example.com/e', error: 'Page load timed out' }
+];
+
+test('reads one http(s) URL per line, skipping comments, blanks and duplicates', () => {
+  const text = [
+    'https://example.com/',
+    '',
+    '  # the blog',
+    '  https://example.com/blog  ',
+    'ftp://example.com/file',
+    'example.com/no-scheme',
+    'HTTP://EXAMPLE.COM/UPPER',
+    'https://example.com/'
+  ].join('\r\n');
+
+  assert.deepEqual(parseUrlList(text), [
+    'https://example.com/',
+    'https://example.com/blog',
+    'HTTP://EXAMPLE.COM/UPPER'
+  ]);
+});
+
+test('reads page URLs from a sitemap', () => {
+  assert.deepEqual(parseSitemap(readFixture('crawl/sitemap.xml')), {
+    urls: ['https://example.com/', 'https://example.com/about'],
+    sitemaps: []
+  });
+});
+
+test('reads nested sitemaps from a sitemap index', () => {
+  assert.deepEqual(parseSitemap(readFixture('crawl/sitemap-index.xml')), {
+    urls: [],
+    sitemaps: ['https://example.com/sitemap-pages.xml', 'https://example.com/sitemap-posts.xml']
+  });
+});
+
+test('rejects a sitemap that is not XML', () => {
+  assert.throws(() => parseSitemap('<html><body>Not found</body>'), /Not a valid sitemap/);
+});
+
+test('keeps the fonts, palette and technology names of a page', async () => {
+  const result = await analyzeFixture('colors/roles.html');
+  const pageResult = toPageResult('https://example.com/', result);
+
+  assert.equal(pageResult.title, 'Color roles');
+  assert.deepEqual(pageResult.colors, result.colors.all.map(item => item.color));
+  assert.deepEqual(pageResult.fonts, result.typography.fontFamilies);
+  assert.ok(!('typography' in pageResult));
+});
+
+test('counts fonts, colors and technologies per analyzed page', () => {
+  const aggregate = aggregateCrawl(CRAWL);
+
+  assert.equal(aggregate.pages, 5);
+  assert.equal(aggregate.analyzed, 4);
+  assert.deepEqual(aggregate.failed, [{ url: 'https://example.com/e', error: 'Page load timed out' }]);
+  assert.deepEqual(aggregate.fonts, [{ value: 'Inter', pages: 4 }]);
+  assert.deepEqual(aggregate.colors.slice(0, 3), [
+    { value: '#111', pages: 3 },
+    { value: '#222', pages: 2 },
+    { value: '#333', pages: 2 }
+  ]);
+});
+
+test('makes colors on at least half of the pages the dominant palette', () => {
+  assert.deepEqual(aggregateCrawl(CRAWL).dominantPalette, ['#111', '#222', '#333']);
+});
+
+test('reports only pages with more than half of their palette off the dominant one', () => {
+  assert.deepEqual(aggregateCrawl(CRAWL).deviations, [
+    { url: 'https://example.com/d', offPalette: ['#555', '#666'], share: 2 / 3 }
+  ]);
+});
+
+test('writes one CSV row per page with quoted and joined cells', () => {
+  const csv = crawlToCsv([
+    page('https://example.com/', ['#111'], { title: 'Home, "sweet" home', fonts: ['Inter', 'Georgia'] }),
+    { url: 'https://example.com/broken', error: 'Not found' }
+  ]);
+  const lines = csv.trimEnd().split('\n');
+
+  assert.equal(lines[0], 'url,final_url,title,status,fonts,colors,off_palette,technologies');
+  assert.equal(lines[1], 'https://example.com/,https://example.com/,"Home, ""sweet"" home",ok,Inter; Georgia,#111,,React');
+  assert.equal(lines[2], 'https://example.com/broken,,,error: Not found,,,,');
+  assert.ok(csv.endsWith('\n'));
+});
+
+test('keeps spreadsheets from running page titles as formulas', () => {
+  const titles = ['=HYPERLINK("https://evil.example")', '+1', '-1', '@SUM(A1)'];
+  const lines = crawlToCsv(titles.map((title, index) => page(`https://example.com/${index}`, [], { title })))
+    .trimEnd()
+    .split('\n')
+    .slice(1);
+
+  assert.equal(lines[0].split(',')[2], '"\'=HYPERLINK(""https://evil.example"")"');
+  assert.deepEqual(lines.slice(1).map(line => line.split(',')[2]), ["'+1", "'-1", "'@SUM(A1)"]);
+});
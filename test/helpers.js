@@ -0,0 +1,23 @@
+// Shared by the fixture tests. Fixtures run through the built Node API (`npm test` builds it first)
+// with linked resources left unfetched, so no test touches the network.
+const fs = require('fs');
+const path = require('path');
+const { analyzeHtml } = require('../dist-node');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function analyzeFixture(name, options = {}) {
+  const html = fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+  return analyzeHtml(html, { url: 'https://example.com/', loadResources: false, ...options });
+}
+
+// Detected technologies by name, across categories
+function detectedTechnologies(result) {
+  const detected = new Map();
+  Object.values(result.technologies).forEach(entries => {
+    entries.forEach(entry => detected.set(entry.name, entry));
+  });
+  return detected;
+}
+
+module.exports = { analyzeFixture, analyzeHtml, detectedTechnologies };
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeFixture } = require('./helpers');
+
+const withoutTimestamp = ({ timestamp, ...result }) => result;
+
+test('gives concurrent analyses the same results as one at a time', async () => {
+  const fixtures = ['colors/roles.html', 'typography/headings.html', 'technologies/react.html'];
+
+  const sequential = [];
+  for (const fixture of fixtures) {
+    sequential.push(await analyzeFixture(fixture));
+  }
+  const concurrent = await Promise.all(fixtures.map(fixture => analyzeFixture(fixture)));
+
+  concurrent.forEach((result, index) => {
+    assert.deepEqual(withoutTimestamp(result), withoutTimestamp(sequential[index]));
+  });
+  assert.ok(concurrent[0].colors.all.length > 0);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildReport, parseHex, toHsl } = require('../dist-node');
+const { analyzeFixture } = require('./helpers');
+
+const RESULT = {
+  url: 'https://example.com/',
+  title: 'Example',
+  timestamp: '2024-01-01T00:00:00.000Z',
+  colors: {
+    text: { color: '#1f2937', variables: ['--text'] },
+    link: { color: null },
+    all: [{ color: '#2563eb', count: 4, variables: [] }, { color: '#0d6efd80', count: 1 }]
+  },
+  typography: {
+    fontFamilies: ['Inter'],
+    typeScale: '1.250',
+    headings: { h1: { fontFamily: 'Inter, sans-serif', fontSize: '40px', fontWeight: '700', lineHeight: '48px' } },
+    body: { fontFamily: 'Inter, sans-serif', fontSize: '16px', fontWeight: '400', lineHeight: '24px' }
+  },
+  technologies: {
+    frameworks: [{ name: 'React', version: '18.2.0' }],
+    tools: ['In-house Kit']
+  }
+};
+
+test('reads #rgb, #rrggbb and #rrggbbaa colors', () => {
+  assert.deepEqual(parseHex('#abc'), { r: 170, g: 187, b: 204, a: 1 });
+  assert.deepEqual(parseHex('#2563EB'), { r: 37, g: 99, b: 235, a: 1 });
+  assert.deepEqual(parseHex('#0d6efd80'), { r: 13, g: 110, b: 253, a: 0.5 });
+});
+
+test('rejects anything that is not a hex color', () => {
+  ['red', 'rgb(0, 0, 0)', '#abcd', '#12345', '', null, undefined].forEach(value => {
+    assert.equal(parseHex(value), null);
+  });
+});
+
+test('converts channels to rounded HSL', () => {
+  assert.deepEqual(toHsl({ r: 255, g: 0, b: 0 }), { h: 0, s: 100, l: 50 });
+  assert.deepEqual(toHsl({ r: 0, g: 0, b: 255 }), { h: 240, s: 100, l: 50 });
+  assert.deepEqual(toHsl({ r: 255, g: 0, b: 255 }), { h: 300, s: 100, l: 50 });
+  assert.deepEqual(toHsl({ r: 37, g: 99, b: 235 }), { h: 221, s: 83, l: 53 });
+  assert.deepEqual(toHsl({ r: 128, g: 128, b: 128 }), { h: 0, s: 0, l: 50 });
+});
+
+test('renders a standalone HTML style guide', () => {
+  const html = buildReport(RESULT, 'html');
+
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<h1>Example<\/h1>/);
+  assert.match(html, /rgb\(37, 99, 235\)/);
+  assert.match(html, /hsla\(216, 98%, 52%, 0\.5\)/);
+  assert.match(html, /Heading 1/);
+  assert.ok(!html.includes('>Link<'), 'roles without a color are left out');
+  assert.ok(!/<(link|script)\b/.test(html), 'the report needs no external resources');
+});
+
+test('shows logos for built-in technologies and monograms for the rest', () => {
+  const html = buildReport(RESULT, 'html');
+
+  assert.match(html, /<span class="tech-icon tech-logo"[^>]*>\s*<svg viewBox="0 0 24 24"[^>]*><path fill="#61DAFB"/);
+  assert.match(html, /<span class="tech-icon" style="background-color: hsl\(\d+, 55%, 42%\)" aria-hidden="true">IK<\/span>/);
+});
+
+test('escapes page text in the HTML report', () => {
+  const html = buildReport({ ...RESULT, title: '<script>alert(1)</script>' }, 'html');
+
+  assert.ok(!html.includes('<script>'));
+  assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+});
+
+test('renders Markdown tables and lists', () => {
+  const markdown = buildReport(RESULT, 'markdown');
+
+  assert.match(markdown, /^# Example\n/);
+  assert.match(markdown, /\| Text \| `#1f2937` \| rgb\(31, 41, 55\) \| hsl\(215, 28%, 17%\) \| `--text` \|/);
+  assert.match(markdown, /Font families: \*\*Inter\*\*/);
+  assert.match(markdown, /### Frameworks\n\n- React 18\.2\.0\n/);
+});
+
+test('escapes page text in the Markdown report', () => {
+  const markdown = buildReport({
+    ...RESULT,
+    title: '# *Sale* | 50% off',
+    typography: { ...RESULT.typography, fontFamilies: ['Font_Name*'] },
+    technologies: { tools: [{ name: '- <b>Kit</b>' }] }
+  }, 'markdown');
+
+  assert.match(markdown, /^# \\# \\\*Sale\\\* \\\| 50% off\n/);
+  assert.match(markdown, /Font families: \*\*Font\\_Name\\\*\*\*/);
+  assert.match(markdown, /\n- \\- \\<b\\>Kit\\<\/b\\>\n/);
+});
+
+test('escapes page text in Markdown table cells', () => {
+  const markdown = buildReport({
+    ...RESULT,
+    colors: { all: [{ color: '#2563eb', count: 1, variables: ['--a|b', '--tick`s'] }] },
+    typography: { headings: { h1: { fontFamily: '*Fancy* | <Font>', fontSize: '40px', letterSpacing: '-0.02em' } } }
+  }, 'markdown');
+
+  assert.match(markdown, /\| `#2563eb` \| rgb\(37, 99, 235\) \| hsl\(221, 83%, 53%\) \| `--a\\\|b`, `` --tick`s `` \|/);
+  assert.match(markdown, /\| Heading 1 \| \\\*Fancy\\\* \\\| \\<Font\\> \| 40px \|/);
+  assert.match(markdown, /\| \\-0\.02em \|\n/);
+});
+
+test('reports an analyzed page', async () => {
+  const markdown = buildReport(await analyzeFixture('colors/roles.html'), 'markdown');
+
+  assert.match(markdown, /^# Color roles\n/);
+  assert.match(markdown, /\| Link \| `#2563eb` \|/);
+});
+
+test('rejects unknown report formats', () => {
+  assert.throws(() => buildReport(RESULT, 'pdf'), /Unknown report format: pdf/);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { validateSignatures } = require('../dist-node/test-exports');
+
+// Selectors are checked by parsing them, as the options page does; this process only runs tests
+globalThis.document = new JSDOM('').window.document;
+
+const signature = fields => [{ name: 'Kit', category: 'tools', ...fields }];
+
+test('accepts selector strings, selector objects and confidence weights', () => {
+  const signatures = signature({
+    selectors: ['[data-kit]', { selector: 'meta[name="kit"]', versionAttribute: 'content' }],
+    confidence: { selectors: 40, globals: 100, headers: 0 }
+  });
+
+  assert.equal(validateSignatures(signatures), signatures);
+});
+
+test('rejects invalid selectors', () => {
+  assert.throws(() => validateSignatures(signature({ selectors: [':not-a-pseudo'] })), /invalid selector ":not-a-pseudo"/);
+  assert.throws(() => validateSignatures(signature({ selectors: [{ selector: '>>' }] })), /invalid selector ">>"/);
+  assert.throws(() => validateSignatures(signature({ selectors: [42] })), /each "selectors" entry/);
+  assert.throws(() => validateSignatures(signature({ selectors: '.kit' })), /"selectors" must be an array/);
+  assert.throws(() => validateSignatures(signature({ selectors: [{ selector: '.kit', versionAttribute: 1 }] })),
+    /"versionAttribute" must be a string/);
+});
+
+test('rejects unknown evidence kinds and weights outside 0-100', () => {
+  assert.throws(() => validateSignatures(signature({ confidence: { globals: 'high' } })), /"globals" must be a number from 0 to 100/);
+  assert.throws(() => validateSignatures(signature({ confidence: { globals: 101 } })), /from 0 to 100/);
+  assert.throws(() => validateSignatures(signature({ confidence: { globals: NaN } })), /from 0 to 100/);
+  assert.throws(() => validateSignatures(signature({ confidence: { hunches: 50 } })), /unknown confidence kind "hunches"/);
+  assert.throws(() => validateSignatures(signature({ confidence: [90] })), /"confidence" must map evidence kinds/);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeFixture, detectedTechnologies } = require('./helpers');
+
+// Markup-based detection: each fixture must produce every name in `detects`, with `versions` where given.
+// Fixtures that set globals from inline scripts need `runScripts`.
+const FIXTURE_CASES = [
+  { fixture: 'react.html', runScripts: true, detects: ['React'], versions: { React: '18.2.0' } },
+  { fixture: 'nextjs.html', detects: ['Next.js', 'React'] },
+  { fixture: 'angular.html', detects: ['Angular'], versions: { Angular: '17.3.1' } },
+  { fixture: 'vue.html', detects: ['Vue.js'] },
+  { fixture: 'nuxt.html', detects: ['Nuxt.js', 'Vue.js'] },
+  { fixture: 'svelte.html', detects: ['Svelte'] },
+  { fixture: 'vite.html', detects: ['Vite'] },
+  { fixture: 'gsap.html', runScripts: true, detects: ['GSAP'], versions: { GSAP: '3.12.5' } },
+  { fixture: 'threejs.html', runScripts: true, detects: ['Three.js'], versions: { 'Three.js': '160' } },
+  { fixture: 'framer.html', detects: ['Framer Motion'] },
+  { fixture: 'tailwind.html', detects: ['Tailwind CSS'] },
+  { fixture: 'bootstrap.html', detects: ['Bootstrap'] },
+  { fixture: 'material-ui.html', detects: ['Material UI'] },
+  { fixture: 'google-analytics.html', detects: ['Google Analytics'] },
+  { fixture: 'facebook-pixel.html', detects: ['Facebook Pixel'] },
+  { fixture: 'wordpress.html', detects: ['WordPress'], versions: { WordPress: '6.5.2' } },
+  { fixture: 'shopify.html', detects: ['Shopify'] },
+  { fixture: 'wix.html', detects: ['Wix'] },
+  { fixture: 'squarespace.html', detects: ['Squarespace'] },
+  { fixture: 'jquery.html', detects: ['jQuery'], versions: { jQuery: '3.7.1' } },
+  { fixture: 'libraries.html', detects: ['Lodash', 'Moment.js', 'D3.js', 'Chart.js', 'Axios', 'Anime.js'] },
+  { fixture: 'graphql.html', detects: ['GraphQL'] }
+];
+
+// Hosts, CDNs and servers that only show themselves in response headers
+const HEADER_CASES = [
+  { name: 'Next.js', headers: { 'x-powered-by': 'Next.js' } },
+  { name: 'Vercel', headers: { 'x-vercel-id': 'cdg1::iad1::abc123' } },
+  { name: 'Netlify', headers: { 'x-nf-request-id': '01HABCDEF' } },
+  { name: 'GitHub Pages', headers: { server: 'GitHub.com' } },
+  { name: 'WordPress', headers: { link: '<https://example.com/wp-json/>; rel="https://api.w.org/"' } },
+  { name: 'Shopify', headers: { 'x-shopid': '12345' } },
+  { name: 'Wix', headers: { 'x-wix-request-id': '1700000000.123' } },
+  { name: 'Squarespace', headers: { server: 'Squarespace' } },
+  { name: 'Heroku', headers: { via: '1.1 vegur' } },
+  { name: 'Fly.io', headers: { 'fly-request-id': '01HABCDEF-cdg' } },
+  { name: 'Render', headers: { 'rndr-id': 'abc-123' } },
+  { name: 'Amazon S3', headers: { server: 'AmazonS3' } },
+  { name: 'Google Cloud', headers: { via: '1.1 google' } },
+  { name: 'Cloudflare', headers: { server: 'cloudflare', 'cf-ray': '8a1b2c3d4e5f-CDG' } },
+  { name: 'Amazon CloudFront', headers: { 'x-amz-cf-id': 'abc123==' } },
+  { name: 'Fastly', headers: { 'x-served-by': 'cache-cdg20745-CDG' } },
+  { name: 'Akamai', headers: { server: 'AkamaiGHost' } },
+  { name: 'Nginx', headers: { server: 'nginx/1.25.3' }, version: '1.25.3' },
+  { name: 'Apache', headers: { server: 'Apache/2.4.58 (Unix)' }, version: '2.4.58' },
+  { name: 'Microsoft IIS', headers: { server: 'Microsoft-IIS/10.0' }, version: '10.0' },
+  { name: 'LiteSpeed', headers: { server: 'LiteSpeed' } },
+  { name: 'Caddy', headers: { server: 'Caddy' } },
+  { name: 'Varnish', headers: { 'x-varnish': '123 456' } },
+  { name: 'Express', headers: { 'x-powered-by': 'Express' } },
+  { name: 'PHP', headers: { 'x-powered-by': 'PHP/8.2.12' }, version: '8.2.12' },
+  { name: 'ASP.NET', headers: { 'x-powered-by': 'ASP.NET', 'x-aspnet-version': '4.0.30319' }, version: '4.0.30319' }
+];
+
+// Pages that look like a technology without using it
+const NEGATIVE_CASES = [
+  { fixture: 'bootstrap-lookalike.html', rejects: ['Bootstrap'], why: 'generic .row, .col and .modal classes' },
+  { fixture: 'tailwind-lookalike.html', rejects: ['Tailwind CSS'], why: 'text-* and p-* class names and the word tailwind' },
+  { fixture: 'jquery-dollar.html', runScripts: true, rejects: ['jQuery'], why: 'a page-defined window.$' }
+];
+
+FIXTURE_CASES.forEach(({ fixture, runScripts, detects, versions = {} }) => {
+  test(`detects ${detects.join(', ')} in ${fixture}`, async () => {
+    const detected = detectedTechnologies(await analyzeFixture(`technologies/${fixture}`, { runScripts }));
+
+    detects.forEach(name => assert.ok(detected.has(name), `${name} not detected`));
+    Object.entries(versions).forEach(([name, version]) => {
+      assert.equal(detected.get(name).version, version);
+    });
+  });
+});
+
+HEADER_CASES.forEach(({ name, headers, version }) => {
+  test(`detects ${name} from response headers`, async () => {
+    const detected = detectedTechnologies(await analyzeFixture('technologies/plain.html', { headers }));
+
+    assert.ok(detected.has(name), `${name} not detected`);
+    assert.ok(detected.get(name).evidence.some(item => item.startsWith('headers:')));
+    if (version) assert.equal(detected.get(name).version, version);
+  });
+});
+
+test('detects GitHub Pages from the hostname', async () => {
+  const detected = detectedTechnologies(await analyzeFixture('technologies/plain.html', {
+    url: 'https://octocat.github.io/'
+  }));
+
+  assert.ok(detected.has('GitHub Pages'));
+});
+
+test('implied technologies inherit confidence and say what implied them', async () => {
+  const detected = detectedTechnologies(await analyzeFixture('technologies/nuxt.html'));
+
+  assert.equal(detected.get('Vue.js').confidence, detected.get('Nuxt.js').confidence);
+  assert.deepEqual(detected.get('Vue.js').evidence, ['implied by Nuxt.js']);
+});
+
+test('detects nothing on a plain page', async () => {
+  const result = await analyzeFixture('technologies/plain.html');
+
+  assert.deepEqual(detectedTechnologies(result), new Map());
+});
+
+NEGATIVE_CASES.forEach(({ fixture, runScripts, rejects, why }) => {
+  test(`does not detect ${rejects.join(', ')} from ${why}`, async () => {
+    const detected = detectedTechnologies(await analyzeFixture(`technologies/${fixture}`, { runScripts }));
+
+    rejects.forEach(name => assert.ok(!detected.has(name), `${name} detected`));
+  });
+});
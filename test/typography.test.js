@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeFixture } = require('./helpers');
+
+test('reports each heading level with its count', async () => {
+  const { typography } = await analyzeFixture('typography/headings.html');
+
+  assert.deepEqual(Object.keys(typography.headings), ['h1', 'h2', 'h3']);
+  assert.equal(typography.headings.h1.fontSize, '24px');
+  assert.equal(typography.headings.h2.count, 2);
+  assert.equal(typography.body.fontSize, '16px');
+});
+
+test('names a type scale close to a standard ratio', async () => {
+  const { typography } = await analyzeFixture('typography/headings.html');
+
+  assert.equal(typography.typeScale, 'Perfect Fifth (1.5)');
+});
+
+test('reports the raw ratio when no standard scale is close', async () => {
+  const { typography } = await analyzeFixture('typography/custom-scale.html');
+
+  assert.equal(typography.typeScale, '1.75');
+});
+
+test('has no type scale without an h1', async () => {
+  const { typography } = await analyzeFixture('typography/no-headings.html');
+
+  assert.deepEqual(typography.headings, {});
+  assert.equal(typography.typeScale, null);
+});
+
+test('lists the first family of each stack, unquoted', async () => {
+  const { typography } = await analyzeFixture('typography/headings.html');
+
+  assert.ok(typography.fontFamilies.includes('Source Sans Pro'));
+  assert.ok(typography.fontFamilies.includes('Georgia'));
+  assert.ok(!typography.fontFamilies.includes(''));
+});
+
+test('finds headings inside open shadow roots', async () => {
+  const { typography } = await analyzeFixture('typography/shadow-dom.html', { runScripts: true });
+
+  assert.equal(typography.headings.h1.component, null);
+  assert.equal(typography.headings.h2.component, 'article-card');
+  assert.equal(typography.headings.h2.fontSize, '22px');
+});
+
+test('flags fluid font sizes', async () => {
+  const { typography } = await analyzeFixture('typography/fluid.html');
+
+  assert.match(typography.responsive.fluid.h1, /clamp\(/);
+  assert.equal(typography.responsive.fluid.h2, undefined);
+});
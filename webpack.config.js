@@ -1,12 +1,19 @@
 // webpack.config.js
 const path = require('path');
+const webpack = require('webpack');
 const CopyPlugin = require('copy-webpack-plugin');
 
-module.exports = {
+// The browser extension
+const extension = {
+  name: 'extension',
   entry: {
     popup: './src/popup.js',
     content: './src/content.js',
+    picker: './src/picker.js',
     background: './src/background.js',
+    options: './src/options.js',
+    batch: './src/batch.js',
+    print: './src/print.js',
   },
   output: {
     path: path.resolve(__dirname, 'dist'),
@@ -30,3 +37,29 @@ module.exports = {
   },
   mode: 'production',
 };
+
+// The Node API and `site-info` CLI, which run the same analyzers in jsdom
+const node = {
+  name: 'node',
+  target: 'node',
+  entry: {
+    index: './src/node.js',
+    'site-info': './src/cli.js',
+    // Extension helpers the tests call directly; not part of the package's API
+    'test-exports': './src/test-exports.js',
+  },
+  output: {
+    path: path.resolve(__dirname, 'dist-node'),
+    filename: '[name].js',
+    library: { type: 'commonjs2' },
+  },
+  externals: {
+    jsdom: 'commonjs jsdom',
+  },
+  plugins: [
+    new webpack.BannerPlugin({ banner: '#!/usr/bin/env node', raw: true, include: /site-info/ }),
+  ],
+  mode: 'production',
+};
+
+module.exports = [extension, node];